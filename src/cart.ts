@@ -0,0 +1,84 @@
+import { CartLineNotFoundError, InvalidQuoteOptionError } from './errors';
+import type { DomainQuotes } from './index';
+import type { CartLine, CartLineInput, CartOptions, CartQuote } from './types';
+
+/**
+ * A mutable basket of line items priced together by `DomainQuotes#quoteCart`. Lines keep their
+ * insertion order and get generated ids unless one is supplied.
+ */
+export class Cart {
+  private readonly quotes: DomainQuotes;
+  private readonly options: CartOptions;
+  private readonly items = new Map<string, CartLine>();
+  private codes: string[];
+  private nextId = 1;
+
+  constructor (quotes: DomainQuotes, options: CartOptions) {
+    this.quotes = quotes;
+    this.options = { ...options };
+    this.codes = [...(options.discountCodes ?? [])];
+  }
+
+  get lines(): CartLine[] {
+    return Array.from(this.items.values(), (line) => ({ ...line }));
+  }
+
+  get discountCodes(): string[] {
+    return this.codes.slice();
+  }
+
+  add(input: CartLineInput & { id?: string }): CartLine {
+    validateLine(input);
+    let id = input.id;
+    if (id === undefined) {
+      do {
+        id = `line-${this.nextId++}`;
+      } while (this.items.has(id));
+    } else if (this.items.has(id)) {
+      throw new InvalidQuoteOptionError('id', `a cart line with id "${id}" already exists`);
+    }
+    const line: CartLine = { ...input, id };
+    this.items.set(id, line);
+    return { ...line };
+  }
+
+  update(id: string, changes: Partial<CartLineInput>): CartLine {
+    const existing = this.items.get(id);
+    if (!existing) throw new CartLineNotFoundError(id);
+    const line: CartLine = { ...existing, ...changes, id };
+    validateLine(line);
+    this.items.set(id, line);
+    return { ...line };
+  }
+
+  remove(id: string): boolean {
+    return this.items.delete(id);
+  }
+
+  clear(): void {
+    this.items.clear();
+  }
+
+  /** Adds an order-level code. Codes are compared case-insensitively. */
+  applyDiscountCode(code: string): void {
+    const upper = code.toUpperCase();
+    if (!this.codes.some((c) => c.toUpperCase() === upper)) this.codes.push(code);
+  }
+
+  removeDiscountCode(code: string): boolean {
+    const upper = code.toUpperCase();
+    const before = this.codes.length;
+    this.codes = this.codes.filter((c) => c.toUpperCase() !== upper);
+    return this.codes.length !== before;
+  }
+
+  quote(): Promise<CartQuote> {
+    return this.quotes.quoteCart(this.lines, { ...this.options, discountCodes: this.codes.slice() });
+  }
+}
+
+function validateLine(line: CartLineInput): void {
+  if (!line.extension && !line.domain) {
+    throw new InvalidQuoteOptionError('extension', 'a cart line needs an extension or a domain');
+  }
+}
@@ -0,0 +1,88 @@
+import type { RedemptionRefusal } from './types';
+
+export class DomainQuoteError extends Error {
+  code: string;
+  constructor (code: string, message: string) {
+    super(message);
+    this.name = 'DomainQuoteError';
+    this.code = code;
+  }
+}
+
+export class UnsupportedExtensionError extends DomainQuoteError {
+  constructor (ext: string) {
+    super('ERR_UNSUPPORTED_EXTENSION', `Unsupported extension: ${ext}`);
+    this.name = 'UnsupportedExtensionError';
+  }
+}
+
+export class UnsupportedCurrencyError extends DomainQuoteError {
+  constructor (currency: string) {
+    super('ERR_UNSUPPORTED_CURRENCY', `Unsupported currency: ${currency}`);
+    this.name = 'UnsupportedCurrencyError';
+  }
+}
+
+export class InvalidQuoteOptionError extends DomainQuoteError {
+  constructor (option: string, reason: string) {
+    super('ERR_INVALID_OPTION', `Invalid quote option "${option}": ${reason}`);
+    this.name = 'InvalidQuoteOptionError';
+  }
+}
+
+export class InvalidMarkupError extends DomainQuoteError {
+  markup: string;
+  constructor (markup: string, reason: string) {
+    super('ERR_INVALID_MARKUP', `Invalid markup ${markup}: ${reason}`);
+    this.name = 'InvalidMarkupError';
+    this.markup = markup;
+  }
+}
+
+export class UnsupportedDomainError extends DomainQuoteError {
+  constructor (domain: string, reason: string) {
+    super('ERR_UNSUPPORTED_DOMAIN', `Unsupported domain: ${domain} (${reason})`);
+    this.name = 'UnsupportedDomainError';
+  }
+}
+
+export class InvalidSnapshotError extends DomainQuoteError {
+  constructor (reason: string) {
+    super('ERR_INVALID_SNAPSHOT', `Invalid pricing snapshot: ${reason}`);
+    this.name = 'InvalidSnapshotError';
+  }
+}
+
+export class CartLineNotFoundError extends DomainQuoteError {
+  constructor (id: string) {
+    super('ERR_CART_LINE_NOT_FOUND', `Cart line not found: ${id}`);
+    this.name = 'CartLineNotFoundError';
+  }
+}
+
+export class RedemptionLimitError extends DomainQuoteError {
+  discountCode: string;
+  reason: RedemptionRefusal;
+  constructor (discountCode: string, reason: RedemptionRefusal) {
+    super('ERR_REDEMPTION_LIMIT', `Discount code ${discountCode} cannot be redeemed: ${reason}`);
+    this.name = 'RedemptionLimitError';
+    this.discountCode = discountCode;
+    this.reason = reason;
+  }
+}
+
+export class UnknownDiscountCodeError extends DomainQuoteError {
+  discountCode: string;
+  constructor (discountCode: string) {
+    super('ERR_UNKNOWN_DISCOUNT_CODE', `Unknown discount code: ${discountCode}`);
+    this.name = 'UnknownDiscountCodeError';
+    this.discountCode = discountCode;
+  }
+}
+
+export class RedemptionNotFoundError extends DomainQuoteError {
+  constructor (id: string) {
+    super('ERR_REDEMPTION_NOT_FOUND', `Redemption not found or no longer held: ${id}`);
+    this.name = 'RedemptionNotFoundError';
+  }
+}
@@ -1,31 +1,180 @@
 import type {
+  BatchQuoteResult,
+  CartDiscountCodeResult,
+  CartDiscountCodeStatus,
+  CartLine,
+  CartOptions,
+  CartQuote,
+  CartQuoteLine,
+  CartQuoteMinorUnits,
+  CartQuoteOptions,
+  CurrencyMeta,
+  DiscountCodeResult,
   DiscountConfig,
+  DiscountEligibilityContext,
+  DiscountPolicy,
+  DomainDataFetch,
+  DomainDataSnapshot,
+  DomainDataSnapshotData,
+  DomainDataSource,
+  DomainDataSourceOptions,
+  DomainDataUrls,
+  DomainNameParts,
+  DomainQuote,
   DomainQuoteConfig,
+  DomainQuoteSettings,
   ExchangeRateData,
   GetQuoteOptions,
+  LoadSnapshotOptions,
   Markup,
+  MarkupRule,
+  ParsedUnifiedPrices,
+  PriceConversion,
   PriceEntry,
+  PriceOffer,
+  PriceRow,
+  PriceRowTable,
   PriceTable,
+  PriceTableName,
+  ProviderSelection,
   Quote,
+  QuotePriceExplanation,
+  QuoteRequest,
+  QuoteWarning,
+  QuoteYear,
+  RedemptionLimits,
+  RedemptionRefusal,
+  RedemptionStore,
+  RedemptionUsage,
+  RefreshingDataSource,
+  RefreshingDataSourceEvents,
+  RefreshingDataSourceOptions,
+  TaxContext,
+  TaxCustomer,
+  TaxExemption,
+  TaxRule,
   TransactionType
 } from './types';
+import { Cart } from './cart';
+import type { MoneyContext } from './money';
+import { allocateMinor, applyPriceEnding, createMoneyContext, percentOf, sumMinor, toMajor, toMinor } from './money';
+import type { MinorTaxLine, TaxableAmounts } from './tax';
+import { computeInclusiveTaxLines, computeTaxLines, mergeTaxLines, netOfTaxes, toTaxLines } from './tax';
+import type { DiscountCandidate } from './stacking';
+import { selectDiscounts } from './stacking';
+import { checkWindow } from './windows';
+import { createMemoryRedemptionStore } from './redemptions';
+import { sha256 } from './sha256';
+import {
+  InvalidMarkupError,
+  InvalidQuoteOptionError,
+  InvalidSnapshotError,
+  RedemptionLimitError,
+  UnknownDiscountCodeError,
+  UnsupportedCurrencyError,
+  UnsupportedDomainError,
+  UnsupportedExtensionError
+} from './errors';
+export { Cart } from './cart';
+export { createMemoryRedemptionStore } from './redemptions';
+export {
+  CartLineNotFoundError,
+  InvalidMarkupError,
+  InvalidQuoteOptionError,
+  InvalidSnapshotError,
+  RedemptionLimitError,
+  RedemptionNotFoundError,
+  UnknownDiscountCodeError,
+  UnsupportedCurrencyError,
+  UnsupportedDomainError,
+  UnsupportedExtensionError
+} from './errors';
 export type {
+  BatchQuoteResult,
+  CartDiscountCodeResult,
+  CartDiscountCodeStatus,
+  CartDiscountConfig,
+  CartDiscountContext,
+  CartDiscountEligibilityCallback,
+  CartLine,
+  CartLineInput,
+  CartOptions,
+  CartQuote,
+  CartQuoteLine,
+  CartQuoteMinorUnits,
+  CartQuoteOptions,
+  CurrencyMeta,
+  DataRefreshErrorEvent,
+  DataRefreshEvent,
+  DiscountCodeResult,
+  DiscountCodeStatus,
   DiscountConfig,
   DiscountEligibilityCallback,
   DiscountEligibilityContext,
   DiscountPolicy,
+  DiscountRecurrence,
+  DiscountYearScope,
+  DomainDataFetch,
+  DomainDataField,
+  DomainDataSnapshot,
+  DomainDataSnapshotData,
+  DomainDataSource,
+  DomainDataSourceOptions,
+  DomainDataUrls,
+  DomainNameParts,
+  DomainQuote,
   DomainQuoteConfig,
+  DomainQuoteSettings,
   ExchangeRateData,
   GetQuoteOptions,
+  LoadSnapshotOptions,
   Markup,
+  MarkupRule,
   MarkupType,
+  MemoryRedemptionStoreOptions,
+  ParsedUnifiedPrices,
+  PriceConversion,
+  PriceEndingPolicy,
   PriceEntry,
+  PriceOffer,
+  PriceRow,
+  PriceRowTable,
   PriceTable,
+  PriceTableName,
+  ProviderSelection,
+  ProviderSelector,
   Quote,
+  QuoteExplanation,
+  QuoteMinorUnits,
+  QuotePriceExplanation,
+  QuoteRequest,
+  QuoteWarning,
+  QuoteYear,
+  RedemptionLimits,
+  RedemptionRefusal,
+  RedemptionReserveResult,
+  RedemptionStore,
+  RedemptionUsage,
+  RefreshingDataSource,
+  RefreshingDataSourceEvents,
+  RefreshingDataSourceOptions,
+  RoundingStep,
+  TaxBasis,
+  TaxContext,
+  TaxCustomer,
+  TaxExemption,
+  TaxExemptionType,
+  TaxLine,
+  TaxMode,
+  TaxResolution,
+  TaxResolver,
+  TaxRule,
   TransactionType
 } from './types';
 
 export const DEFAULT_VAT_RATE = 0.075;
+// Longest registration term accepted by `GetQuoteOptions.years`
+export const MAX_YEARS = 10;
 
 export function listSupportedCurrencies(): string[] {
   // Use the configured default when available; fall back to core set
@@ -79,6 +228,31 @@ export function normalizeExtension(extension: string): string {
   return lower.replace(/^\.+/, '');
 }
 
+/**
+ * Splits a domain name into its registrable label and the longest suffix that has a create price
+ * in `prices`. A trailing root dot is ignored; anything left of the label is returned as `subdomain`.
+ * A name that is itself priced, such as 'co.uk', is an extension and cannot be registered.
+ */
+function resolveDomainName(domain: string, prices: PriceTable): DomainNameParts {
+  const name = (domain || '').trim().toLowerCase().replace(/^\.+/, '').replace(/\.$/, '');
+  const labels = name.split('.');
+  if (!name || labels.some((label) => label.length === 0)) {
+    throw new UnsupportedDomainError(domain, 'not a valid domain name');
+  }
+  if (hasValidPrice(prices[name])) {
+    throw new UnsupportedDomainError(domain, 'is an extension, not a registrable domain');
+  }
+  // Start with the longest candidate suffix; the suffix must leave at least one label to register.
+  for (let i = 1; i < labels.length; i++) {
+    const extension = labels.slice(i).join('.');
+    if (!hasValidPrice(prices[extension])) continue;
+    const label = labels[i - 1];
+    const subdomain = i > 1 ? labels.slice(0, i - 1).join('.') : undefined;
+    return { domain: `${label}.${extension}`, label, extension, subdomain };
+  }
+  throw new UnsupportedDomainError(domain, 'no supported extension matches');
+}
+
 function asNowValue(now?: number | Date): number {
   if (now instanceof Date) return now.getTime();
   if (typeof now === 'number') return now;
@@ -86,18 +260,20 @@ function asNowValue(now?: number | Date): number {
 }
 
 // Remote data sources
-const UNIFIED_CREATE_PRICES_CSV =
-  'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/unified-create-prices.csv';
-const UNIFIED_RENEW_PRICES_CSV =
-  'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/unified-renew-prices.csv';
-const UNIFIED_TRANSFER_PRICES_CSV =
-  'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/unified-transfer-prices.csv';
-const EXCHANGE_RATES_JSON_URL =
-  'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/exchange-rates.json';
-
-async function fetchWithDiagnostics(url: string): Promise<Response> {
+export const DEFAULT_DATA_URLS: Readonly<DomainDataUrls> = Object.freeze({
+  createPrices:
+    'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/unified-create-prices.csv',
+  renewPrices:
+    'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/unified-renew-prices.csv',
+  transferPrices:
+    'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/unified-transfer-prices.csv',
+  exchangeRates:
+    'https://raw.githubusercontent.com/namewiz/registrar-pricelist/refs/heads/main/data/exchange-rates.json',
+});
+
+async function fetchWithDiagnostics(fetchImpl: DomainDataFetch, url: string): Promise<Response> {
   try {
-    return await fetch(url);
+    return await fetchImpl(url);
   } catch (error) {
     throw new Error(describeNetworkError(url, error), { cause: error });
   }
@@ -140,34 +316,29 @@ function describeHttpError(url: string, res: Response): string {
   return `Failed to fetch ${url}: ${res.status} ${res.statusText} (${reason})`;
 }
 
-async function fetchText(url: string): Promise<string> {
-  const res = await fetchWithDiagnostics(url);
+async function fetchText(fetchImpl: DomainDataFetch, url: string): Promise<string> {
+  const res = await fetchWithDiagnostics(fetchImpl, url);
   if (!res.ok) throw new Error(describeHttpError(url, res));
   return res.text();
 }
 
-async function fetchJson<T = unknown>(url: string): Promise<T> {
-  const res = await fetchWithDiagnostics(url);
+async function fetchJson<T = unknown>(fetchImpl: DomainDataFetch, url: string): Promise<T> {
+  const res = await fetchWithDiagnostics(fetchImpl, url);
   if (!res.ok) throw new Error(describeHttpError(url, res));
   return res.json() as Promise<T>;
 }
 
-interface ParsedUnifiedPrices {
-  prices: PriceTable;
-  // tld -> provider that owns the winning (minimum USD) price row.
-  providers: Record<string, string>;
-}
-
 function parseUnifiedPricesCsv(csv: string): ParsedUnifiedPrices {
   // CSV columns: tld,provider,currency,amount
-  const lines = csv.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-  if (lines.length === 0) return { prices: {}, providers: {} };
+  // Keep 1-based line numbers so `explain` can point at the winning row
+  const lines = csv.split(/\r?\n/)
+    .map((text, i) => ({ text: text.trim(), number: i + 1 }))
+    .filter((l) => l.text);
+  if (lines.length === 0) return { prices: {}, providers: {}, rows: {}, offers: {} };
   const header = lines.shift()!; // remove header
   // Accept header validation lightly (avoid strict coupling)
-  const result: PriceTable = {};
-  const providers: Record<string, string> = {};
-  const winningUsd: Record<string, number> = {};
-  for (const line of lines) {
+  const offers: Record<string, PriceOffer[]> = {};
+  for (const { text: line, number: lineNumber } of lines) {
     const parts = line.split(',');
     if (parts.length < 4) continue;
     const tld = parts[0]?.trim().toLowerCase();
@@ -176,41 +347,73 @@ function parseUnifiedPricesCsv(csv: string): ParsedUnifiedPrices {
     const amountStr = parts[3]?.trim();
     const amount = Number(amountStr);
     if (!tld || !currency || !Number.isFinite(amount) || amount <= 0) continue;
-    const existing = result[tld];
-    let map: Record<string, number>;
-    if (existing === undefined) {
-      map = {};
-    } else if (typeof existing === 'number') {
-      map = { USD: existing };
+    (offers[tld] ??= []).push({ provider: provider ?? '', currency, amount, line: lineNumber });
+  }
+  return { ...selectProviderPrices(offers, 'createPrices'), offers };
+}
+
+// Builds a price list from every provider's offers: per TLD, the providers left after exclusions are
+// narrowed to the selector's or the first preferred provider's, and each currency takes the lowest
+// remaining price (the first listed on a tie).
+function selectProviderPrices(
+  offers: Record<string, PriceOffer[]>,
+  table: PriceTableName,
+  selection: ProviderSelection = {}
+): Omit<ParsedUnifiedPrices, 'offers'> {
+  const excluded = new Set(selection.excludedProviders?.map((p) => p.trim().toLowerCase()));
+  const preferred = selection.preferredProviders?.map((p) => p.trim().toLowerCase()) ?? [];
+  const prices: PriceTable = {};
+  const providers: Record<string, string> = {};
+  const rows: PriceRowTable = {};
+  for (const [tld, all] of Object.entries(offers)) {
+    let candidates = all.filter((offer) => !excluded.has(offer.provider));
+    if (candidates.length === 0) continue;
+    let provider: string | undefined;
+    if (selection.select) {
+      provider = selection.select(candidates, { tld, table });
+      if (provider === undefined) continue;
     } else {
-      map = existing;
+      provider = preferred.find((name) => candidates.some((offer) => offer.provider === name));
     }
-    const previous = map[currency];
-    map[currency] = previous === undefined ? amount : Math.min(previous, amount);
-    result[tld] = map;
-
-    if (currency === 'USD' && provider) {
-      const currentWinner = winningUsd[tld];
-      if (currentWinner === undefined || amount < currentWinner) {
-        winningUsd[tld] = amount;
-        providers[tld] = provider;
-      }
+    if (provider !== undefined) {
+      const chosen = provider.trim().toLowerCase();
+      candidates = candidates.filter((offer) => offer.provider === chosen);
+      if (candidates.length === 0) continue;
     }
+
+    const map: Record<string, number> = {};
+    for (const { provider: name, currency, amount, line } of candidates) {
+      const previous = map[currency];
+      if (previous !== undefined && amount >= previous) continue;
+      map[currency] = amount;
+      (rows[tld] ??= {})[currency] = { provider: name, amount, line };
+      if (currency === 'USD' && name) providers[tld] = name;
+    }
+    prices[tld] = map;
   }
-  return { prices: result, providers };
+  return { prices, providers, rows };
+}
+
+// Re-selects a parsed list's prices when a selection is given. Lists from snapshots written before
+// offers were recorded keep their cheapest-price tables.
+function applyProviderSelection(
+  list: ParsedUnifiedPrices,
+  table: PriceTableName,
+  selection?: ProviderSelection
+): ParsedUnifiedPrices {
+  if (!selection || !list.offers) return list;
+  return { ...selectProviderPrices(list.offers, table, selection), offers: list.offers };
 }
 
-async function loadRemoteData(): Promise<
-  [ParsedUnifiedPrices, ParsedUnifiedPrices, ParsedUnifiedPrices, ExchangeRateData[]]
-> {
+async function loadRemoteData(fetchImpl: DomainDataFetch, urls: DomainDataUrls): Promise<DomainDataSnapshotData> {
   try {
-    const [createPrices, renewPrices, transferPrices, rates] = await Promise.all([
-      fetchText(UNIFIED_CREATE_PRICES_CSV).then(parseUnifiedPricesCsv),
-      fetchText(UNIFIED_RENEW_PRICES_CSV).then(parseUnifiedPricesCsv),
-      fetchText(UNIFIED_TRANSFER_PRICES_CSV).then(parseUnifiedPricesCsv),
-      fetchJson<ExchangeRateData[]>(EXCHANGE_RATES_JSON_URL),
+    const [createPrices, renewPrices, transferPrices, exchangeRates] = await Promise.all([
+      fetchText(fetchImpl, urls.createPrices).then(parseUnifiedPricesCsv),
+      fetchText(fetchImpl, urls.renewPrices).then(parseUnifiedPricesCsv),
+      fetchText(fetchImpl, urls.transferPrices).then(parseUnifiedPricesCsv),
+      fetchJson<ExchangeRateData[]>(fetchImpl, urls.exchangeRates),
     ]);
-    return [createPrices, renewPrices, transferPrices, rates];
+    return { createPrices, renewPrices, transferPrices, exchangeRates };
   } catch (error) {
     const err =
       error instanceof Error
@@ -221,56 +424,427 @@ async function loadRemoteData(): Promise<
   }
 }
 
-// Fetch remote datasets once at module load (Node ESM supports top-level await)
-const [CREATE_PRICES_PARSED, RENEW_PRICES_PARSED, TRANSFER_PRICES_PARSED, EXCHANGE_RATES] = await loadRemoteData();
-const CREATE_PRICES = CREATE_PRICES_PARSED.prices;
-const RENEW_PRICES = RENEW_PRICES_PARSED.prices;
-const TRANSFER_PRICES = TRANSFER_PRICES_PARSED.prices;
-const CREATE_PROVIDERS = CREATE_PRICES_PARSED.providers;
+function buildConfigFromData(
+  data: DomainDataSnapshotData,
+  datasetVersion: string,
+  selection?: ProviderSelection
+): DomainQuoteConfig {
+  const createPrices = applyProviderSelection(data.createPrices, 'createPrices', selection);
+  const renewPrices = applyProviderSelection(data.renewPrices, 'renewPrices', selection);
+  const transferPrices = applyProviderSelection(data.transferPrices, 'transferPrices', selection);
+  return {
+    datasetVersion,
+    createPrices: createPrices.prices,
+    renewPrices: renewPrices.prices,
+    transferPrices: transferPrices.prices,
+    createProviders: createPrices.providers,
+    renewProviders: renewPrices.providers,
+    transferProviders: transferPrices.providers,
+    priceRows: {
+      createPrices: createPrices.rows,
+      renewPrices: renewPrices.rows,
+      transferPrices: transferPrices.rows,
+    },
+    exchangeRates: data.exchangeRates,
+    vatRate: DEFAULT_VAT_RATE,
+    discounts: {},
+    supportedCurrencies: ['USD', 'NGN'],
+  };
+}
 
-function loadPrices(): PriceTable {
-  return CREATE_PRICES;
+// Runs `fn` at most once at a time and caches its result; a rejection clears the cache so the next call retries.
+function onceWithRetry<T>(fn: () => Promise<T>): () => Promise<T> {
+  let pending: Promise<T> | undefined;
+  return () => {
+    if (!pending) {
+      pending = fn().catch((error) => {
+        pending = undefined;
+        throw error;
+      });
+    }
+    return pending;
+  };
+}
+
+/**
+ * Creates a loader for the registrar price lists and exchange rates. Nothing is fetched until
+ * `load()` or `snapshot()` is called; the first successful download is reused by later calls,
+ * and a failed one can be retried.
+ */
+export function createDomainDataSource(options: DomainDataSourceOptions = {}): DomainDataSource {
+  const urls: DomainDataUrls = { ...DEFAULT_DATA_URLS, ...options.urls };
+
+  const download = onceWithRetry(async () => {
+    // Resolve the global lazily so environments that install a fetch polyfill after import still work.
+    const fetchImpl: DomainDataFetch = options.fetch ?? ((url) => fetch(url));
+    const data = await loadRemoteData(fetchImpl, urls);
+    return { data, fetchedAt: new Date() };
+  });
+  const snapshot = onceWithRetry(async () => {
+    const { data, fetchedAt } = await download();
+    return createDomainDataSnapshot(data, { sources: urls, fetchedAt });
+  });
+  const load = onceWithRetry(async () => {
+    const { data } = await download();
+    return buildConfigFromData(data, await hashSnapshotData(data), options.providerSelection);
+  });
+
+  return { urls, load, snapshot };
+}
+
+// Snapshots
+export const DOMAIN_DATA_SNAPSHOT_VERSION = 1;
+
+// JSON with object keys sorted, so the hash does not depend on property insertion order.
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value as Record<string, unknown>)
+      .sort()
+      .filter((key) => (value as Record<string, unknown>)[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
 }
 
-function loadCreateProviders(): Record<string, string> {
-  return CREATE_PROVIDERS;
+// Uses the Web Crypto API where available and a bundled SHA-256 elsewhere (Node 18, insecure browser
+// contexts), so loading data never depends on it.
+async function hashSnapshotData(data: DomainDataSnapshotData): Promise<string> {
+  const subtle = globalThis.crypto?.subtle;
+  const bytes = new TextEncoder().encode(canonicalJson(data));
+  const digest = subtle ? new Uint8Array(await subtle.digest('SHA-256', bytes)) : sha256(bytes);
+  const hex = Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('');
+  return `sha256-${hex}`;
 }
 
-function loadRenewPrices(): PriceTable {
-  return RENEW_PRICES;
+/**
+ * Packages parsed price lists and exchange rates into a versioned, JSON-serializable snapshot
+ * carrying its source URLs, fetch time and a content hash.
+ */
+export async function createDomainDataSnapshot(
+  data: DomainDataSnapshotData,
+  meta: { sources: DomainDataUrls; fetchedAt?: Date | string }
+): Promise<DomainDataSnapshot> {
+  const fetchedAt =
+    meta.fetchedAt instanceof Date ? meta.fetchedAt.toISOString() : meta.fetchedAt ?? new Date().toISOString();
+  return {
+    version: DOMAIN_DATA_SNAPSHOT_VERSION,
+    fetchedAt,
+    sources: { ...meta.sources },
+    hash: await hashSnapshotData(data),
+    data,
+  };
 }
 
-function loadTransferPrices(): PriceTable {
-  return TRANSFER_PRICES;
+function isParsedPriceList(value: unknown): value is ParsedUnifiedPrices {
+  const list = value as ParsedUnifiedPrices | undefined;
+  return !!list && typeof list.prices === 'object' && list.prices !== null
+    && typeof list.providers === 'object' && list.providers !== null;
 }
 
-function loadExchangeRates(): ExchangeRateData[] {
-  return EXCHANGE_RATES;
+/**
+ * Validates a snapshot (version, sources, fetch time, content hash and optional maximum age)
+ * and builds a `DomainQuoteConfig` from it without touching the network. Accepts the parsed
+ * object or the raw JSON text of a snapshot file.
+ */
+export async function loadDomainDataSnapshot(
+  snapshot: DomainDataSnapshot | string,
+  options: LoadSnapshotOptions = {}
+): Promise<DomainQuoteConfig> {
+  let parsed: DomainDataSnapshot;
+  if (typeof snapshot === 'string') {
+    try {
+      parsed = JSON.parse(snapshot) as DomainDataSnapshot;
+    } catch (error) {
+      throw new InvalidSnapshotError(`not valid JSON (${error instanceof Error ? error.message : String(error)})`);
+    }
+  } else {
+    parsed = snapshot;
+  }
+  if (!parsed || typeof parsed !== 'object') throw new InvalidSnapshotError('expected an object');
+  if (parsed.version !== DOMAIN_DATA_SNAPSHOT_VERSION) {
+    throw new InvalidSnapshotError(`unsupported version ${String(parsed.version)} (expected ${DOMAIN_DATA_SNAPSHOT_VERSION})`);
+  }
+
+  const sources = parsed.sources as Partial<DomainDataUrls> | undefined;
+  for (const key of Object.keys(DEFAULT_DATA_URLS) as (keyof DomainDataUrls)[]) {
+    if (typeof sources?.[key] !== 'string' || !sources[key]) {
+      throw new InvalidSnapshotError(`missing source URL for ${key}`);
+    }
+  }
+
+  const fetchedAtMs = Date.parse(parsed.fetchedAt);
+  if (Number.isNaN(fetchedAtMs)) throw new InvalidSnapshotError(`invalid fetchedAt: ${String(parsed.fetchedAt)}`);
+  if (typeof options.maxAgeMs === 'number') {
+    const ageMs = asNowValue(options.now) - fetchedAtMs;
+    if (ageMs > options.maxAgeMs) {
+      throw new InvalidSnapshotError(`fetched at ${parsed.fetchedAt}, older than the allowed ${options.maxAgeMs}ms`);
+    }
+  }
+
+  const data = parsed.data;
+  if (
+    !data
+    || !isParsedPriceList(data.createPrices)
+    || !isParsedPriceList(data.renewPrices)
+    || !isParsedPriceList(data.transferPrices)
+    || !Array.isArray(data.exchangeRates)
+  ) {
+    throw new InvalidSnapshotError('data is missing price lists or exchange rates');
+  }
+  const hash = await hashSnapshotData(data);
+  if (hash !== parsed.hash) {
+    throw new InvalidSnapshotError(`content hash mismatch (expected ${String(parsed.hash)}, computed ${hash})`);
+  }
+
+  return buildConfigFromData(data, hash, options.providerSelection);
 }
 
-class DomainQuoteError extends Error {
-  code: string;
-  constructor (code: string, message: string) {
-    super(message);
-    this.name = 'DomainQuoteError';
-    this.code = code;
+/** Wraps a snapshot in the `DomainDataSource` interface, e.g. to feed `loadDefaultConfig()` offline. */
+export function createSnapshotDataSource(
+  snapshot: DomainDataSnapshot,
+  options: LoadSnapshotOptions = {}
+): DomainDataSource {
+  const load = onceWithRetry(() => loadDomainDataSnapshot(snapshot, options));
+  return {
+    urls: { ...snapshot.sources },
+    load,
+    snapshot: async () => {
+      await load();
+      return snapshot;
+    },
+  };
+}
+
+// Refreshing data
+export const DEFAULT_REFRESH_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_REFRESH_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Creates a data source that re-downloads the datasets once they are older than `ttlMs`.
+ * Stale data keeps being served while a refresh runs in the background, and a failed refresh
+ * leaves the last good tables in place. Each refresh swaps in a complete new config at once,
+ * so a quote never mixes tables from two datasets.
+ */
+export function createRefreshingDataSource(options: RefreshingDataSourceOptions = {}): RefreshingDataSource {
+  const ttlMs = options.ttlMs ?? DEFAULT_REFRESH_TTL_MS;
+  const staleWhileRevalidateMs = options.staleWhileRevalidateMs ?? Infinity;
+  const retryDelayMs = options.retryDelayMs ?? Math.min(ttlMs, DEFAULT_REFRESH_RETRY_DELAY_MS);
+  const now = options.now ?? Date.now;
+  const createSource = options.createSource ?? (() => createDomainDataSource({
+    fetch: options.fetch,
+    urls: options.urls,
+    providerSelection: options.providerSelection,
+  }));
+
+  // The first source is created up front only to expose its URLs; it is also used for the first download.
+  let nextSource: DomainDataSource | undefined = createSource();
+  const urls = nextSource.urls;
+  const listeners: { [E in keyof RefreshingDataSourceEvents]: Set<(event: RefreshingDataSourceEvents[E]) => void> } = {
+    refresh: new Set(),
+    error: new Set(),
+  };
+  let active: { source: DomainDataSource; config: DomainQuoteConfig; loadedAt: number } | undefined;
+  let inflight: Promise<DomainQuoteConfig> | undefined;
+  let lastFailureAt: number | undefined;
+  let timer: ReturnType<typeof setInterval> | undefined;
+
+  function emit<E extends keyof RefreshingDataSourceEvents>(event: E, payload: RefreshingDataSourceEvents[E]): void {
+    for (const listener of listeners[event]) {
+      try {
+        listener(payload);
+      } catch {
+        // A throwing listener must not break the refresh cycle
+      }
+    }
+  }
+
+  function refresh(): Promise<DomainQuoteConfig> {
+    if (!inflight) {
+      inflight = (async () => {
+        const source = nextSource ?? createSource();
+        nextSource = undefined;
+        const config = await source.load();
+        const previousVersion = active?.config.datasetVersion;
+        active = { source, config, loadedAt: now() };
+        lastFailureAt = undefined;
+        emit('refresh', { config, version: config.datasetVersion, previousVersion });
+        return config;
+      })()
+        .catch((error: unknown) => {
+          lastFailureAt = now();
+          const err = error instanceof Error ? error : new Error(String(error), { cause: error });
+          emit('error', { error: err, version: active?.config.datasetVersion });
+          throw err;
+        })
+        .finally(() => {
+          inflight = undefined;
+        });
+    }
+    return inflight;
+  }
+
+  async function load(): Promise<DomainQuoteConfig> {
+    if (!active) return refresh();
+    const current = active;
+    const age = now() - current.loadedAt;
+    if (age < ttlMs) return current.config;
+    if (lastFailureAt !== undefined && now() - lastFailureAt < retryDelayMs) return current.config;
+    const pending = refresh();
+    if (age < ttlMs + staleWhileRevalidateMs) {
+      // Failures are reported through the 'error' event; the stale tables stay in service.
+      pending.catch(() => {});
+      return current.config;
+    }
+    try {
+      return await pending;
+    } catch {
+      return current.config;
+    }
   }
+
+  return {
+    urls,
+    load,
+    refresh,
+    current: () => active?.config,
+    async snapshot(): Promise<DomainDataSnapshot> {
+      await load();
+      return active!.source.snapshot();
+    },
+    on(event, listener) {
+      const set = listeners[event] as Set<typeof listener>;
+      set.add(listener);
+      return () => {
+        set.delete(listener);
+      };
+    },
+    start(): void {
+      if (timer !== undefined) return;
+      timer = setInterval(() => {
+        refresh().catch(() => {});
+      }, ttlMs);
+      // Don't keep a Node.js process alive just for refreshes
+      (timer as { unref?: () => void }).unref?.();
+    },
+    stop(): void {
+      if (timer === undefined) return;
+      clearInterval(timer);
+      timer = undefined;
+    },
+  };
+}
+
+function isDataSource(value: DomainQuoteConfig | DomainDataSource): value is DomainDataSource {
+  return typeof (value as DomainDataSource).load === 'function';
+}
+
+function loadPrices(): PriceTable {
+  return DEFAULT_CONFIG.createPrices;
 }
 
-export class UnsupportedExtensionError extends DomainQuoteError {
-  constructor (ext: string) {
-    super('ERR_UNSUPPORTED_EXTENSION', `Unsupported extension: ${ext}`);
-    this.name = 'UnsupportedExtensionError';
+// The configured tax rules, or the single flat VAT rule derived from `vatRate`.
+function resolveTaxRules(config: DomainQuoteConfig): TaxRule[] {
+  if (config.taxRules) return config.taxRules;
+  const rate = typeof config.vatRate === 'number' ? config.vatRate : DEFAULT_VAT_RATE;
+  return [{ id: 'vat', name: 'VAT', rate }];
+}
+
+function selectTaxRules(rules: TaxRule[], extension: string, transaction: TransactionType): TaxRule[] {
+  return rules.filter((rule) => (
+    (!rule.extensions || rule.extensions.some((ext) => normalizeExtension(ext) === extension))
+    && (!rule.transactions || rule.transactions.length === 0 || rule.transactions.includes(transaction))
+  ));
+}
+
+type TaxedItem = Pick<TaxContext, 'extension' | 'currency' | 'transaction' | 'years' | 'taxMode'>;
+
+// Taxes of one item: the matching rules, or whatever `config.taxResolver` decides for the customer.
+// Resolver errors propagate; charging a guessed tax would be worse than failing the quote. Returns the
+// pre-tax subtotal too, which differs from `amounts.subtotal` in 'inclusive' mode. Inclusive prices
+// contain the configured taxes, so when the resolver changes the rules those are backed out and the
+// resolved rules charged on the net price: an exempt buyer pays the net price, not the gross.
+async function resolveTaxes(
+  config: DomainQuoteConfig,
+  item: TaxedItem,
+  amounts: TaxableAmounts,
+  customer: TaxCustomer | undefined,
+  money: MoneyContext
+): Promise<{ lines: MinorTaxLine[]; exemption?: TaxExemption; subtotal: number }> {
+  const configured = selectTaxRules(resolveTaxRules(config), item.extension, item.transaction);
+  let rules = configured;
+  let exemption: TaxExemption | undefined;
+  if (config.taxResolver) {
+    const resolved = await config.taxResolver({
+      ...item,
+      basePrice: toMajor(amounts.base, money),
+      subtotal: toMajor(amounts.subtotal, money),
+      customer: { ...customer },
+      rules,
+    });
+    if (Array.isArray(resolved)) {
+      rules = resolved;
+    } else {
+      rules = resolved.rules;
+      exemption = resolved.exemption;
+    }
+  }
+  if (item.taxMode === 'inclusive') {
+    const unchanged = rules.length === configured.length && rules.every((rule, i) => rule === configured[i]);
+    if (unchanged) return { ...computeInclusiveTaxLines(rules, amounts, money), exemption };
+    const net = netOfTaxes(configured, amounts, money);
+    return { lines: computeTaxLines(rules, net, money), exemption, subtotal: net.subtotal };
   }
+  return { lines: computeTaxLines(rules, amounts, money), exemption, subtotal: amounts.subtotal };
 }
 
-export class UnsupportedCurrencyError extends DomainQuoteError {
-  constructor (currency: string) {
-    super('ERR_UNSUPPORTED_CURRENCY', `Unsupported currency: ${currency}`);
-    this.name = 'UnsupportedCurrencyError';
+// The table consulted on top of `createPrices` for a transaction.
+function overrideTableFor(tx: TransactionType): PriceTableName | undefined {
+  switch (tx) {
+    case 'renew':
+      return 'renewPrices';
+    case 'restore':
+      return 'restorePrices';
+    case 'transfer':
+      return 'transferPrices';
+    case 'create':
+    default:
+      return undefined;
   }
 }
 
+const PROVIDER_MAPS: Record<
+  PriceTableName,
+  'createProviders' | 'renewProviders' | 'restoreProviders' | 'transferProviders'
+> = {
+  createPrices: 'createProviders',
+  renewPrices: 'renewProviders',
+  restorePrices: 'restoreProviders',
+  transferPrices: 'transferProviders',
+};
+
+// The registrar behind the price `tx` uses for `ext` in `currency`, following the same lookup as the
+// price itself: the transaction's table before `createPrices`, the currency's own price before USD. The
+// CSV row names it when recorded, else the table's provider map.
+function priceProvider(
+  config: DomainQuoteConfig,
+  ext: string,
+  tx: TransactionType,
+  currency: string
+): string | undefined {
+  const overrideTable = overrideTableFor(tx);
+  const override = overrideTable ? toPriceMap(config[overrideTable]?.[ext]) : undefined;
+  const direct = override?.[currency] ?? toPriceMap(config.createPrices[ext])?.[currency];
+  const code = direct === undefined ? 'USD' : currency;
+  const table = overrideTable && override?.[code] !== undefined ? overrideTable : 'createPrices';
+  return config.priceRows?.[table]?.[ext]?.[code]?.provider || config[PROVIDER_MAPS[table]]?.[ext];
+}
+
+function findCurrencyMeta(config: DomainQuoteConfig, currency: string): CurrencyMeta | undefined {
+  return config.currencies?.find((meta) => meta.code.toUpperCase() === currency);
+}
+
 function findUsdRateInfo(): ExchangeRateData {
   return {
     countryCode: 'US',
@@ -282,39 +856,278 @@ function findUsdRateInfo(): ExchangeRateData {
   };
 }
 
-function round2(n: number): number {
-  return Number(n.toFixed(2));
+// Work shared between the quotes of one call (a single quote or a whole batch)
+interface QuoteCache {
+  rates: Map<string, ExchangeRateData>;
+  discountExtensions: Map<DiscountConfig, Set<string>>;
+  // Keyed by discount code and every context field, so only identical evaluations are shared.
+  eligibility: Map<string, Promise<EligibilityResult>>;
+  // Keyed by discount code and customer id.
+  redemptions: Map<string, Promise<RedemptionUsage>>;
+}
+
+type EligibilityResult = 'eligible' | 'callback-rejected' | 'callback-errored';
+
+function createQuoteCache(): QuoteCache {
+  return { rates: new Map(), discountExtensions: new Map(), eligibility: new Map(), redemptions: new Map() };
+}
+
+function checkEligibility(
+  conf: DiscountConfig,
+  context: DiscountEligibilityContext,
+  cache: QuoteCache
+): Promise<EligibilityResult> {
+  const key = [
+    context.discountCode,
+    context.extension,
+    context.currency,
+    context.transaction,
+    context.basePrice,
+    context.years,
+  ].join('|');
+  let result = cache.eligibility.get(key);
+  if (!result) {
+    result = (async () => {
+      try {
+        return (await conf.isEligible!(context)) ? 'eligible' : 'callback-rejected';
+      } catch {
+        // If callback throws, skip this discount
+        return 'callback-errored';
+      }
+    })();
+    cache.eligibility.set(key, result);
+  }
+  return result;
+}
+
+// The limit `code` has used up for `customer`, if any, not counting the order's own `heldIds`. Store errors
+// fail the quote.
+async function checkRedemptionLimits(
+  store: RedemptionStore,
+  code: string,
+  limits: RedemptionLimits,
+  customer: TaxCustomer | undefined,
+  heldIds: string[] | undefined,
+  cache: QuoteCache
+): Promise<RedemptionRefusal | undefined> {
+  const { maxRedemptions, maxRedemptionsPerCustomer } = limits;
+  if (maxRedemptions === undefined && maxRedemptionsPerCustomer === undefined) return undefined;
+  const customerId = customer?.id;
+  if (maxRedemptionsPerCustomer !== undefined && customerId === undefined) return 'customer-required';
+  const key = `${code}|${customerId ?? ''}|${heldIds?.join(',') ?? ''}`;
+  let usage = cache.redemptions.get(key);
+  if (!usage) {
+    usage = Promise.resolve(store.usage(code, customerId, heldIds));
+    cache.redemptions.set(key, usage);
+  }
+  const used = await usage;
+  if (maxRedemptions !== undefined && used.total >= maxRedemptions) return 'redemption-limit-reached';
+  if (maxRedemptionsPerCustomer !== undefined && used.customer >= maxRedemptionsPerCustomer) {
+    return 'customer-limit-reached';
+  }
+  return undefined;
 }
 
-function roundAmount(n: number, allowFractional: boolean): number {
-  return allowFractional ? round2(n) : Math.round(n);
+/**
+ * Combines the per-slot minor-unit amounts of each applicable discount (slots are years of a quote
+ * or lines of a cart). 'stack' adds the amounts per slot; 'max' (default) keeps the discount with
+ * the largest total. Every slot is capped at its price. Returns the amounts and the winning indices.
+ */
+function combineDiscounts(
+  applicable: number[][],
+  caps: number[],
+  policy: DiscountPolicy | undefined
+): { amounts: number[]; winners: number[] } {
+  let amounts = caps.map(() => 0);
+  let winners: number[] = [];
+  if (applicable.length > 0) {
+    if (policy === 'stack') {
+      amounts = amounts.map((_, i) => sumMinor(applicable.map((slots) => slots[i])));
+      winners = applicable.map((_, i) => i);
+    } else {
+      // default: apply only the highest discount
+      const totals = applicable.map((slots) => slots.reduce((a, b) => a + b, 0));
+      const best = totals.indexOf(Math.max(...totals));
+      amounts = applicable[best];
+      winners = [best];
+    }
+  }
+  return { amounts: amounts.map((amount, i) => Math.min(amount, caps[i])), winners };
+}
+
+// Ungrouped discounts all compete under 'max' and each stand alone under 'stack'.
+function stackingGroup(code: string, conf: DiscountConfig, policy: DiscountPolicy | undefined): string {
+  if (conf.stackGroup !== undefined) return `group:${conf.stackGroup}`;
+  return policy === 'stack' ? `code:${code}` : 'ungrouped';
 }
 
-function applyMarkup(baseUsd: number, markup?: Markup): number {
-  if (!markup) return baseUsd;
+interface MarkupMargin {
+  usd: number;
+  /** Fixed amounts given in the quote currency, in major units; added after conversion. */
+  local: number;
+}
+
+// The margin `markup` and its `plus` parts add to `baseUsd`. Fixed amounts in the quote currency are kept
+// apart so they land exactly; other currencies go through their exchange rate (units per USD).
+function markupMargin(
+  baseUsd: number,
+  markup: Markup | undefined,
+  currency: string,
+  rateOf: (code: string) => number
+): MarkupMargin {
+  const margin: MarkupMargin = { usd: 0, local: 0 };
+  if (!markup) return margin;
   const value = typeof markup.value === 'number' ? markup.value : 0;
-  if (!Number.isFinite(value) || value <= 0) return baseUsd;
-  switch (markup.type) {
-    case 'percentage':
-      return baseUsd + (baseUsd * value);
-    case 'fixedUsd':
-      return baseUsd + value;
-    default:
-      return baseUsd;
+  if (Number.isFinite(value) && value > 0) {
+    switch (markup.type) {
+      case 'percentage':
+        margin.usd += baseUsd * value;
+        break;
+      case 'fixedUsd':
+        margin.usd += value;
+        break;
+      case 'fixed': {
+        const code = (markup.currency ?? 'USD').toUpperCase();
+        if (code === currency) margin.local += value;
+        else margin.usd += value / rateOf(code);
+        break;
+      }
+      default:
+        break;
+    }
   }
+  for (const part of markup.plus ?? []) {
+    const partMargin = markupMargin(baseUsd, part, currency, rateOf);
+    margin.usd += partMargin.usd;
+    margin.local += partMargin.local;
+  }
+  return margin;
+}
+
+// Throws for a fixed markup, in `markup` or any rule, whose currency has no exchange rate, naming it as
+// `markup`, `markupRules[id]` and `.plus[i]`. Checked before pricing so a config mistake is not reported
+// as the caller's unsupported currency.
+function checkMarkupCurrencies(config: DomainQuoteConfig): void {
+  const check = (markup: Markup, name: string): void => {
+    const code = (markup.currency ?? 'USD').toUpperCase();
+    if (markup.type === 'fixed' && code !== 'USD' && !config.exchangeRates.some((r) => r.currencyCode === code)) {
+      throw new InvalidMarkupError(name, `no exchange rate for its currency ${code}`);
+    }
+    markup.plus?.forEach((part, i) => check(part, `${name}.plus[${i}]`));
+  };
+  if (config.markup) check(config.markup, 'markup');
+  for (const rule of config.markupRules ?? []) check(rule, `markupRules[${rule.id}]`);
+}
+
+function matchesMarkupRule(
+  rule: MarkupRule,
+  config: DomainQuoteConfig,
+  extension: string,
+  transaction: TransactionType,
+  baseUsd: number
+): boolean {
+  const inList = (extensions: string[] | undefined): boolean => (
+    !!extensions?.some((ext) => normalizeExtension(ext) === extension)
+  );
+  if (rule.extensions && !inList(rule.extensions)) return false;
+  if (rule.tldGroups && !rule.tldGroups.some((group) => inList(config.tldGroups?.[group]))) return false;
+  if (rule.transactions && rule.transactions.length > 0 && !rule.transactions.includes(transaction)) return false;
+  const { min, max } = rule.priceBand ?? {};
+  return (min === undefined || baseUsd >= min) && (max === undefined || baseUsd < max);
+}
+
+interface MarkedUpPrice {
+  usd: number;
+  /** Added to the converted price, in quote-currency major units. */
+  local: number;
+  /** The matching rule's markup, or `config.markup` when no rule matched. */
+  markup?: Markup;
+  rule?: MarkupRule;
+  clamped?: 'floor' | 'ceiling';
+}
+
+// Marks up a wholesale USD price with the first matching `markupRules` entry, holding the margin within
+// the rule's floor and ceiling, or with `config.markup` when no rule matches. `rateOf` gives a currency's
+// units per USD.
+function markUp(
+  config: DomainQuoteConfig,
+  extension: string,
+  transaction: TransactionType,
+  baseUsd: number,
+  currency: string,
+  rateOf: (code: string) => number
+): MarkedUpPrice {
+  const rule = config.markupRules?.find((r) => matchesMarkupRule(r, config, extension, transaction, baseUsd));
+  if (!rule) {
+    const margin = markupMargin(baseUsd, config.markup, currency, rateOf);
+    return { usd: baseUsd + margin.usd, local: margin.local, markup: config.markup };
+  }
+  const { type, value, currency: markupCurrency, plus } = rule;
+  const markup: Markup = { type, value, ...(markupCurrency && { currency: markupCurrency }), ...(plus && { plus }) };
+  const margin = markupMargin(baseUsd, markup, currency, rateOf);
+  // Floors and ceilings are in USD, so local amounts count at the exchange rate
+  const marginUsd = margin.usd + (margin.local && margin.local / rateOf(currency));
+  if (rule.minMarginUsd !== undefined && marginUsd < rule.minMarginUsd) {
+    return { usd: baseUsd + rule.minMarginUsd, local: 0, markup, rule, clamped: 'floor' };
+  }
+  if (rule.maxMarginUsd !== undefined && marginUsd > rule.maxMarginUsd) {
+    return { usd: baseUsd + rule.maxMarginUsd, local: 0, markup, rule, clamped: 'ceiling' };
+  }
+  return { usd: baseUsd + margin.usd, local: margin.local, markup, rule };
 }
 
 export class DomainQuotes {
-  private readonly config: DomainQuoteConfig;
+  private readonly config: DomainQuoteConfig | DomainDataSource;
+  private readonly settings: DomainQuoteSettings | undefined;
+  // The last config read and its merge with `settings`, so each dataset is merged once.
+  private merged?: { loaded: DomainQuoteConfig; config: DomainQuoteConfig };
+  // Used when the config has no `redemptionStore`; kept across config refreshes.
+  private readonly defaultRedemptionStore = createMemoryRedemptionStore();
 
-  constructor (config: DomainQuoteConfig) {
+  /**
+   * Accepts a static config or a data source. With a source, every quote reads the source's
+   * current config once, so refreshed tables are picked up without rebuilding the instance.
+   * `settings` (discounts, markup, taxes, ...) are laid over every config read, replacing the
+   * data source's defaults.
+   */
+  constructor (config: DomainQuoteConfig | DomainDataSource, settings?: DomainQuoteSettings) {
     this.config = config;
+    this.settings = settings;
+  }
+
+  private resolveConfig(): Promise<DomainQuoteConfig> | DomainQuoteConfig {
+    if (!isDataSource(this.config)) return this.withSettings(this.config);
+    return this.config.load().then((loaded) => this.withSettings(loaded));
+  }
+
+  private withSettings(loaded: DomainQuoteConfig): DomainQuoteConfig {
+    if (!this.settings) return loaded;
+    if (this.merged?.loaded !== loaded) this.merged = { loaded, config: { ...loaded, ...this.settings } };
+    return this.merged.config;
   }
 
-  private findRateInfo(currency: string): ExchangeRateData {
-    if (currency === 'USD') return findUsdRateInfo();
-    const found = this.config.exchangeRates.find((r) => r.currencyCode === currency);
+  private redemptionStore(config: DomainQuoteConfig): RedemptionStore {
+    return config.redemptionStore ?? this.defaultRedemptionStore;
+  }
+
+  // Checks the currency against `supportedCurrencies` and returns its exchange-rate entry.
+  private resolveCurrency(config: DomainQuoteConfig, currencyCode: string, cache: QuoteCache): ExchangeRateData {
+    const currency = (currencyCode || '').toUpperCase();
+    const supported = config.supportedCurrencies ?? ['USD', 'NGN'];
+    if (!supported.includes(currency)) {
+      throw new UnsupportedCurrencyError(currencyCode);
+    }
+    return this.findRateInfo(config, currency, cache);
+  }
+
+  private findRateInfo(config: DomainQuoteConfig, currency: string, cache: QuoteCache): ExchangeRateData {
+    const cached = cache.rates.get(currency);
+    if (cached) return cached;
+    const found = currency === 'USD'
+      ? findUsdRateInfo()
+      : config.exchangeRates.find((r) => r.currencyCode === currency);
     if (!found) throw new UnsupportedCurrencyError(currency);
+    cache.rates.set(currency, found);
     return found;
   }
 
@@ -323,150 +1136,683 @@ export class DomainQuotes {
     currencyCode: string,
     options: GetQuoteOptions = {}
   ): Promise<Quote> {
-    const createPrices = this.config.createPrices;
-    const vatRate = typeof this.config.vatRate === 'number' ? this.config.vatRate : DEFAULT_VAT_RATE;
-    const discounts = this.config.discounts;
+    // Read the config once so the whole quote is computed against a single dataset
+    const config = await this.resolveConfig();
+    return this.computeQuote(config, extension, currencyCode, options, createQuoteCache());
+  }
 
-    const ext = normalizeExtension(extension);
-    const tx: TransactionType = options.transaction || 'create';
-    const allowFractional = options.allowFractionalAmounts ?? false;
+  /**
+   * Quotes many extensions in one call. The config, currency lookups, normalized discount
+   * extensions and `isEligible` results for identical contexts are shared across the batch.
+   * Each item resolves to its own result, so one bad extension or currency does not fail the rest.
+   */
+  async getQuotes(requests: QuoteRequest[]): Promise<BatchQuoteResult[]> {
+    const config = await this.resolveConfig();
+    const cache = createQuoteCache();
+    return Promise.all(requests.map(async (request): Promise<BatchQuoteResult> => {
+      try {
+        const quote = await this.computeQuote(config, request.extension, request.currency, request.options ?? {}, cache);
+        return { ok: true, request, quote };
+      } catch (error) {
+        return { ok: false, request, error: error instanceof Error ? error : new Error(String(error)) };
+      }
+    }));
+  }
 
-    const createMap = toPriceMap(createPrices[ext]);
-    if (!createMap) {
-      throw new UnsupportedExtensionError(ext);
+  /**
+   * Checks one discount code against a quote for `extension` in `currency`, e.g. to tell a shopper
+   * why a code was refused. Other codes in `options.discountCodes` are ignored. Unsupported
+   * extensions and currencies throw as in `getQuote`.
+   */
+  async validateDiscountCode(
+    code: string,
+    extension: string,
+    currency: string,
+    options: GetQuoteOptions = {}
+  ): Promise<DiscountCodeResult> {
+    const quote = await this.getQuote(extension, currency, {
+      ...options,
+      discountCodes: [code],
+      automaticDiscounts: false,
+      explain: false,
+    });
+    return quote.discountStatuses[0];
+  }
+
+  /**
+   * Holds one redemption of `code` for `customer` while payment is pending, e.g. for each code a
+   * checkout's quote applied. Resolves to the hold's id for `commitRedemption` once paid or
+   * `releaseRedemption` if the checkout is abandoned. One hold covers a whole order, however many cart
+   * lines the code discounted. Throws `UnknownDiscountCodeError` for codes not in `config.discounts` and
+   * `RedemptionLimitError` when the code's limits are used up.
+   */
+  async reserveRedemption(code: string, customer: TaxCustomer = {}): Promise<string> {
+    const config = await this.resolveConfig();
+    const upper = code.toUpperCase();
+    const conf = config.discounts[upper];
+    if (!conf) throw new UnknownDiscountCodeError(upper);
+    const limits: RedemptionLimits = {
+      maxRedemptions: conf.maxRedemptions,
+      maxRedemptionsPerCustomer: conf.maxRedemptionsPerCustomer,
+    };
+    if (limits.maxRedemptionsPerCustomer !== undefined && customer.id === undefined) {
+      throw new RedemptionLimitError(upper, 'customer-required');
+    }
+    const result = await this.redemptionStore(config).reserve(upper, customer.id, limits);
+    if (!result.ok) {
+      const reason = result.limit === 'total' ? 'redemption-limit-reached' : 'customer-limit-reached';
+      throw new RedemptionLimitError(upper, reason);
     }
+    return result.id;
+  }
 
-    let priceMap: Record<string, number> = { ...createMap };
-    const transactionTable: PriceTable | undefined = (() => {
-      switch (tx) {
-        case 'renew':
-          return this.config.renewPrices;
-        case 'restore':
-          return this.config.restorePrices;
-        case 'transfer':
-          return this.config.transferPrices;
-        case 'create':
-        default:
-          return undefined;
-      }
-    })();
+  /** Makes a held redemption permanent. Throws `RedemptionNotFoundError` if it was released or has lapsed. */
+  async commitRedemption(id: string): Promise<void> {
+    const config = await this.resolveConfig();
+    await this.redemptionStore(config).commit(id);
+  }
 
-    if (transactionTable) {
-      const override = toPriceMap(transactionTable[ext]);
-      if (override) {
-        priceMap = { ...priceMap, ...override };
-      }
-    }
+  /** Drops a held redemption so the code can be used again. Resolves to false if it was not held. */
+  async releaseRedemption(id: string): Promise<boolean> {
+    const config = await this.resolveConfig();
+    return this.redemptionStore(config).release(id);
+  }
 
-    if (Object.keys(priceMap).length === 0) {
-      throw new UnsupportedExtensionError(ext);
+  /**
+   * Quotes a full domain name such as `shop.example.com.ng`. The longest suffix with a create
+   * price in the config (`com.ng` rather than `ng`) is used as the extension.
+   */
+  async getDomainQuote(
+    domain: string,
+    currencyCode: string,
+    options: GetQuoteOptions = {}
+  ): Promise<DomainQuote> {
+    const config = await this.resolveConfig();
+    const parts = resolveDomainName(domain, config.createPrices);
+    const quote = await this.computeQuote(config, parts.extension, currencyCode, options, createQuoteCache());
+    return { ...quote, ...parts };
+  }
+
+  /** Creates an empty cart priced by this instance. */
+  createCart(options: CartOptions): Cart {
+    return new Cart(this, options);
+  }
+
+  /**
+   * Prices a basket of line items in one currency. Each line is quoted like `getQuote` (with the
+   * cart's codes plus its own), then cart-level discounts from `config.cartDiscounts` are
+   * evaluated against the whole basket and spread over the qualifying lines before tax.
+   */
+  async quoteCart(lines: CartLine[], options: CartQuoteOptions): Promise<CartQuote> {
+    const config = await this.resolveConfig();
+    const cache = createQuoteCache();
+    const rateInfo = this.resolveCurrency(config, options.currency, cache);
+    const currencyMeta = findCurrencyMeta(config, rateInfo.currencyCode);
+    const money = createMoneyContext(currencyMeta, options.allowFractionalAmounts);
+
+    // Cart-only codes are reported in `cartDiscountStatuses`, not as unknown on every line
+    const isCartOnly = (code: string): boolean => {
+      const upper = code.toUpperCase();
+      return config.cartDiscounts?.[upper] !== undefined && config.discounts[upper] === undefined;
+    };
+    const orderLineCodes = (options.discountCodes ?? []).filter((code) => !isCartOnly(code));
+    const quoteLines = (orderTotal?: number): Promise<Quote[]> => Promise.all(lines.map((line) => {
+      const extension = line.domain ? resolveDomainName(line.domain, config.createPrices).extension : line.extension;
+      return this.computeQuote(config, extension ?? '', options.currency, {
+        transaction: line.transaction,
+        years: line.years,
+        discountCodes: [...orderLineCodes, ...(line.discountCodes ?? [])],
+        discountPolicy: options.discountPolicy,
+        automaticDiscounts: options.automaticDiscounts,
+        allowFractionalAmounts: options.allowFractionalAmounts,
+        now: options.now,
+        customer: options.customer,
+        heldRedemptions: options.heldRedemptions,
+        taxMode: options.taxMode,
+        explain: options.explain,
+        orderTotal,
+      }, cache);
+    }));
+    let quotes = await quoteLines();
+    // `minOrderTotal` is judged on the whole cart, which is only known once every line is priced
+    if (Object.values(config.discounts).some((conf) => conf.minOrderTotal)) {
+      quotes = await quoteLines(toMajor(sumMinor(quotes.map((q) => q.minorUnits.basePrice)), money));
     }
+    // All cart arithmetic runs on the lines' minor-unit amounts, before tax is added or backed out.
+    const taxMode = options.taxMode ?? config.taxMode ?? 'exclusive';
+    const lineSubtotals = quotes.map((q) => q.minorUnits.basePrice - q.minorUnits.discount);
 
-    const currency = (currencyCode || '').toUpperCase();
-    const supported = this.config.supportedCurrencies ?? ['USD', 'NGN'];
-    if (!supported.includes(currency)) {
-      throw new UnsupportedCurrencyError(currencyCode);
+    // Cart-level discounts: per-line amounts of each applicable code
+    const codes = Array.from(new Set((options.discountCodes ?? []).map((c) => c.toUpperCase())));
+    const nowMs = asNowValue(options.now);
+    const applicable: number[][] = [];
+    const cartStatuses: CartDiscountCodeResult[] = [];
+    // Index into `cartStatuses` of each applicable code
+    const applicableStatus: number[] = [];
+    for (const code of codes) {
+      const conf = config.cartDiscounts?.[code];
+      if (!conf) continue;
+      const refuse = (status: CartDiscountCodeStatus): void => {
+        cartStatuses.push({ code, status });
+      };
+      const window = checkWindow(conf, nowMs);
+      if (window !== 'open') {
+        refuse(window);
+        continue;
+      }
+      const extensions = conf.extensions ? new Set(conf.extensions.map(normalizeExtension)) : undefined;
+      const qualifies = quotes.map((q) => (
+        (!extensions || extensions.has(q.extension))
+        && (!conf.transactions || conf.transactions.length === 0 || conf.transactions.includes(q.domainTransaction))
+      ));
+      const itemCount = qualifies.filter(Boolean).length;
+      if (itemCount === 0) {
+        refuse('no-qualifying-lines');
+        continue;
+      }
+      if (itemCount < (conf.minItems ?? 1)) {
+        refuse('below-min-items');
+        continue;
+      }
+      if (conf.isEligible) {
+        const qualifyingTotal = sumMinor(lineSubtotals.filter((_, i) => qualifies[i]));
+        const subtotal = toMajor(qualifyingTotal, money);
+        try {
+          const context = { currency: rateInfo.currencyCode, itemCount, subtotal, discountCode: code };
+          if (!(await conf.isEligible(context))) {
+            refuse('callback-rejected');
+            continue;
+          }
+        } catch {
+          refuse('callback-errored');
+          continue;
+        }
+      }
+      const slots = lineSubtotals.map((value, i) => (qualifies[i] ? percentOf(value, conf.rate, money) : 0));
+      applicable.push(slots);
+      applicableStatus.push(cartStatuses.length);
+      cartStatuses.push({ code, status: 'not-selected', amount: toMajor(sumMinor(slots), money) });
     }
+    const combined = combineDiscounts(applicable, lineSubtotals, options.discountPolicy);
+    for (const winner of combined.winners) cartStatuses[applicableStatus[winner]].status = 'applied';
 
-    const rateInfo = this.findRateInfo(currency);
-    const symbol = rateInfo.currencySymbol;
-    let baseUsd = priceMap.USD;
-    if (baseUsd === undefined) {
-      baseUsd = createMap.USD;
+    // Each line is taxed again on its subtotal after the cart discount
+    const lineAmounts = await Promise.all(quotes.map(async (quote, i) => {
+      const item = {
+        extension: quote.extension,
+        currency: quote.currency,
+        transaction: quote.domainTransaction,
+        years: quote.years,
+        taxMode,
+      };
+      const amounts = { base: quote.minorUnits.basePrice, subtotal: lineSubtotals[i] - combined.amounts[i] };
+      const taxes = await resolveTaxes(config, item, amounts, options.customer, money);
+      const tax = sumMinor(taxes.lines.map((line) => line.amount));
+      return {
+        cartDiscount: combined.amounts[i],
+        subtotal: taxes.subtotal,
+        taxLines: taxes.lines,
+        taxExemption: taxes.exemption,
+        tax,
+        totalPrice: taxes.subtotal + tax,
+      };
+    }));
+    const quotedLines: CartQuoteLine[] = quotes.map((quote, i) => ({
+      id: lines[i].id,
+      quote,
+      cartDiscount: toMajor(lineAmounts[i].cartDiscount, money),
+      subtotal: toMajor(lineAmounts[i].subtotal, money),
+      tax: toMajor(lineAmounts[i].tax, money),
+      taxes: toTaxLines(lineAmounts[i].taxLines, money),
+      taxExemption: lineAmounts[i].taxExemption,
+      totalPrice: toMajor(lineAmounts[i].totalPrice, money),
+    }));
+    const lineDiscount = sumMinor(quotes.map((q) => q.minorUnits.discount));
+    const cartDiscount = sumMinor(combined.amounts);
+    const minorUnits: CartQuoteMinorUnits = {
+      exponent: money.exponent,
+      basePrice: sumMinor(quotes.map((q) => q.minorUnits.basePrice)),
+      lineDiscount,
+      cartDiscount,
+      discount: lineDiscount + cartDiscount,
+      subtotal: sumMinor(lineAmounts.map((line) => line.subtotal)),
+      tax: sumMinor(lineAmounts.map((line) => line.tax)),
+      totalPrice: sumMinor(lineAmounts.map((line) => line.totalPrice)),
+    };
+
+    return {
+      currency: rateInfo.currencyCode,
+      symbol: currencyMeta?.symbol ?? rateInfo.currencySymbol,
+      lines: quotedLines,
+      basePrice: toMajor(minorUnits.basePrice, money),
+      lineDiscount: toMajor(lineDiscount, money),
+      cartDiscount: toMajor(cartDiscount, money),
+      discount: toMajor(minorUnits.discount, money),
+      subtotal: toMajor(minorUnits.subtotal, money),
+      tax: toMajor(minorUnits.tax, money),
+      taxes: toTaxLines(mergeTaxLines(lineAmounts.map((line) => line.taxLines)), money),
+      taxMode,
+      totalPrice: toMajor(minorUnits.totalPrice, money),
+      minorUnits,
+      cartDiscountCodes: combined.winners.map((i) => cartStatuses[applicableStatus[i]].code),
+      cartDiscountStatuses: cartStatuses,
+      datasetVersion: config.datasetVersion,
+    };
+  }
+
+  private async computeQuote(
+    config: DomainQuoteConfig,
+    extension: string,
+    currencyCode: string,
+    options: GetQuoteOptions,
+    cache: QuoteCache
+  ): Promise<Quote> {
+    const discounts = config.discounts;
+
+    const ext = normalizeExtension(extension);
+    const tx: TransactionType = options.transaction || 'create';
+    const years = options.years ?? 1;
+    if (!Number.isInteger(years) || years < 1 || years > MAX_YEARS) {
+      throw new InvalidQuoteOptionError('years', `must be an integer from 1 to ${MAX_YEARS}, got ${String(years)}`);
     }
-    const directCurrencyPrice = priceMap[currency];
-    if (baseUsd === undefined && directCurrencyPrice !== undefined) {
-      baseUsd = directCurrencyPrice / rateInfo.exchangeRate;
+    const { orderTotal: orderTotalOption } = options;
+    if (orderTotalOption !== undefined && !(Number.isFinite(orderTotalOption) && orderTotalOption >= 0)) {
+      throw new InvalidQuoteOptionError('orderTotal', `must be a non-negative number, got ${String(orderTotalOption)}`);
     }
-    if (baseUsd === undefined || baseUsd <= 0) {
+
+    if (!toPriceMap(config.createPrices[ext])) {
       throw new UnsupportedExtensionError(ext);
     }
-    const markedUsd = applyMarkup(baseUsd, this.config.markup);
+    checkMarkupCurrencies(config);
 
-    let basePrice: number;
-    if (directCurrencyPrice !== undefined && baseUsd > 0) {
-      const impliedRate = directCurrencyPrice / baseUsd;
-      basePrice = roundAmount(markedUsd * impliedRate, allowFractional);
-    } else {
-      basePrice = roundAmount(markedUsd * rateInfo.exchangeRate, allowFractional);
-    }
+    const currency = (currencyCode || '').toUpperCase();
+    const rateInfo = this.resolveCurrency(config, currencyCode, cache);
+    const currencyMeta = findCurrencyMeta(config, currency);
+    const money = createMoneyContext(currencyMeta, options.allowFractionalAmounts);
+    if (options.explain) money.trail = [];
+    const symbol = currencyMeta?.symbol ?? rateInfo.currencySymbol;
 
-    const taxRate = vatRate;
+    // Amounts below are integer minor units. Year 1 is priced as the requested transaction; every
+    // later year is a renewal.
+    const firstYear = this.resolveYearPrice(config, ext, tx, currency, rateInfo, money, cache);
+    firstYear.explanation.years.push(1);
+    const renewal = years > 1 && tx !== 'renew'
+      ? this.resolveYearPrice(config, ext, 'renew', currency, rateInfo, money, cache)
+      : firstYear;
+    for (let year = 2; year <= years; year++) renewal.explanation.years.push(year);
+    const yearPrices = Array.from({ length: years }, (_, i) => (i === 0 ? firstYear.amount : renewal.amount));
+    const basePrice = sumMinor(yearPrices);
+    const orderTotal = options.orderTotal === undefined ? basePrice : toMinor(options.orderTotal, money);
 
-    const uniqueCodes = Array.from(new Set((options.discountCodes || []).map((c) => c.toUpperCase())));
+    const enteredCodes = new Set((options.discountCodes || []).map((c) => c.toUpperCase()));
+    // Automatic discounts are tried after the entered codes, in config order
+    const automaticCodes = options.automaticDiscounts === false
+      ? []
+      : Object.keys(discounts).filter((code) => discounts[code].automatic && !enteredCodes.has(code));
     const nowMs = asNowValue(options.now);
-    const applicable: number[] = [];
-    for (const code of uniqueCodes) {
+    // Per-year discount amounts of each applicable code, and the status of every code
+    const applicable: DiscountCandidate[] = [];
+    const applicableIndices: number[] = [];
+    const statuses: DiscountCodeResult[] = [];
+    for (const code of [...enteredCodes, ...automaticCodes]) {
       const conf = discounts[code];
-      if (!conf) continue;
-      const start = Date.parse(conf.startAt);
-      const end = Date.parse(conf.endAt);
-      if (Number.isNaN(start) || Number.isNaN(end)) continue;
-      if (nowMs < start || nowMs > end) continue;
-      const normalizedExtensions = conf.extensions.map(normalizeExtension);
-      if (!normalizedExtensions.includes(ext)) continue;
+      const result: DiscountCodeResult = { code, status: 'applied' };
+      if (conf?.automatic) result.automatic = true;
+      // Automatic discounts nobody entered are only listed once their window and filters match
+      const entered = enteredCodes.has(code);
+      if (entered) statuses.push(result);
+      if (!conf) {
+        result.status = 'unknown';
+        continue;
+      }
+      if (conf.amount === undefined && !(typeof conf.rate === 'number' && conf.rate > 0)) {
+        result.status = 'misconfigured';
+        continue;
+      }
+      const window = checkWindow(conf, nowMs);
+      if (window !== 'open') {
+        result.status = window;
+        continue;
+      }
+      let normalizedExtensions = cache.discountExtensions.get(conf);
+      if (!normalizedExtensions) {
+        normalizedExtensions = new Set(conf.extensions.map(normalizeExtension));
+        cache.discountExtensions.set(conf, normalizedExtensions);
+      }
+      if (!normalizedExtensions.has(ext)) {
+        result.status = 'wrong-extension';
+        continue;
+      }
       // Check transaction type if specified
-      if (conf.transactions && conf.transactions.length > 0 && !conf.transactions.includes(tx)) continue;
+      if (conf.transactions && conf.transactions.length > 0 && !conf.transactions.includes(tx)) {
+        result.status = 'wrong-transaction';
+        continue;
+      }
+      if (!entered) statuses.push(result);
+      // Per-currency settings in this quote's currency: undefined when unset, null when no entry converts
+      const inQuoteCurrency = (amounts: Record<string, number> | undefined, step: string) => {
+        if (!amounts) return undefined;
+        return this.resolveCurrencyAmount(config, amounts, rateInfo, money, cache, `discount:${code}${step}`) ?? null;
+      };
+      const fixedAmount = inQuoteCurrency(conf.amount, '');
+      const maxAmount = inQuoteCurrency(conf.maxDiscountAmount, ':max');
+      const minBasePrice = inQuoteCurrency(conf.minBasePrice, ':minBasePrice');
+      const minOrderTotal = inQuoteCurrency(conf.minOrderTotal, ':minOrderTotal');
+      if (fixedAmount === null || maxAmount === null || minBasePrice === null || minOrderTotal === null) {
+        result.status = 'wrong-currency';
+        continue;
+      }
+      if (minBasePrice !== undefined && basePrice < minBasePrice) {
+        result.status = 'below-min-base-price';
+        continue;
+      }
+      if (minOrderTotal !== undefined && orderTotal < minOrderTotal) {
+        result.status = 'below-min-order-total';
+        continue;
+      }
+      const refusal = await checkRedemptionLimits(
+        this.redemptionStore(config),
+        code,
+        conf,
+        options.customer,
+        options.heldRedemptions,
+        cache
+      );
+      if (refusal) {
+        result.status = refusal;
+        continue;
+      }
       // Check custom eligibility callback if provided (called only after all other criteria pass)
       if (conf.isEligible) {
-        try {
-          const context = { extension: ext, currency, transaction: tx, basePrice, discountCode: code };
-          const eligible = await Promise.resolve(conf.isEligible(context));
-          if (!eligible) continue;
-        } catch {
-          // If callback throws, skip this discount
+        const context = {
+          extension: ext,
+          currency,
+          transaction: tx,
+          basePrice: toMajor(basePrice, money),
+          years,
+          discountCode: code,
+        };
+        const eligibility = await checkEligibility(conf, context, cache);
+        if (eligibility !== 'eligible') {
+          result.status = eligibility;
           continue;
         }
       }
-      applicable.push(roundAmount(basePrice * conf.rate, allowFractional));
+      const firstYearOnly = conf.yearScope === 'firstYear';
+      let amounts: number[];
+      if (fixedAmount !== undefined) {
+        // A fixed amount covers the whole term: spread it over the discounted years by price
+        const eligiblePrices = yearPrices.map((price, i) => (firstYearOnly && i > 0 ? 0 : price));
+        amounts = allocateMinor(Math.min(fixedAmount, sumMinor(eligiblePrices)), eligiblePrices, money);
+      } else {
+        amounts = yearPrices.map((price, i) => (
+          firstYearOnly && i > 0 ? 0 : percentOf(price, conf.rate ?? 0, money, `discount:${code}:year${i + 1}`)
+        ));
+      }
+      if (maxAmount !== undefined && sumMinor(amounts) > maxAmount) {
+        amounts = allocateMinor(maxAmount, amounts, money);
+        result.capped = true;
+      }
+      result.amount = toMajor(sumMinor(amounts), money);
+      applicable.push({
+        amounts,
+        group: stackingGroup(code, conf, options.discountPolicy),
+        priority: conf.priority ?? 0,
+        exclusive: conf.exclusive === true,
+      });
+      applicableIndices.push(statuses.length - 1);
     }
 
-    let discount = 0;
-    if (applicable.length > 0) {
-      if (options.discountPolicy === 'stack') {
-        discount = roundAmount(applicable.reduce((a, b) => a + b, 0), allowFractional);
-      } else {
-        // default: apply only the highest discount
-        discount = Math.max(...applicable);
+    // Discounts are rounded per year, taxes per tax line; the rest is exact integer math.
+    const selection = selectDiscounts(applicable, yearPrices);
+    for (const [i, { reason, by }] of selection.suppressed) {
+      const result = statuses[applicableIndices[i]];
+      if (reason === 'group' && !discounts[result.code].stackGroup) {
+        // The 'max' policy at work
+        result.status = 'not-selected';
+        continue;
       }
+      result.status = reason === 'group' ? 'suppressed-by-group' : 'suppressed-by-exclusive';
+      result.suppressedBy = by.map((winner) => statuses[applicableIndices[winner]].code);
+    }
+    const yearDiscounts = selection.amounts;
+    const discount = sumMinor(yearDiscounts);
+    // In 'inclusive' mode the discounted price already contains the tax and `subtotal` is what remains.
+    const taxMode = options.taxMode ?? config.taxMode ?? 'exclusive';
+    const item = { extension: ext, currency, transaction: tx, years, taxMode };
+    const amounts = { base: basePrice, subtotal: basePrice - discount };
+    const taxes = await resolveTaxes(config, item, amounts, options.customer, money);
+    const subtotal = taxes.subtotal;
+    const tax = sumMinor(taxes.lines.map((line) => line.amount));
+    const totalPrice = subtotal + tax;
+
+    const provider = priceProvider(config, ext, tx, currency);
+    const renewProvider = tx === 'renew' ? provider : priceProvider(config, ext, 'renew', currency);
+    const warnings: QuoteWarning[] = [];
+    if (provider && renewProvider && provider !== renewProvider) {
+      warnings.push({
+        code: 'provider-mismatch',
+        message: `${tx} goes through ${provider} but renewals go through ${renewProvider}`,
+        provider,
+        renewProvider,
+      });
     }
-    if (discount > basePrice) discount = basePrice;
 
-    const subtotal = roundAmount(basePrice - discount, allowFractional);
-    const tax = roundAmount(subtotal * taxRate, allowFractional);
-    const totalPrice = roundAmount(subtotal + tax, allowFractional);
+    const breakdown: QuoteYear[] = yearPrices.map((price, i) => {
+      const markupRule = (i === 0 ? firstYear : renewal).explanation.markup?.rule;
+      const yearProvider = i === 0 ? provider : renewProvider;
+      return {
+        year: i + 1,
+        transaction: i === 0 ? tx : 'renew',
+        basePrice: toMajor(price, money),
+        discount: toMajor(yearDiscounts[i], money),
+        subtotal: toMajor(price - yearDiscounts[i], money),
+        ...(markupRule !== undefined && { markupRule }),
+        ...(yearProvider !== undefined && { provider: yearProvider }),
+      };
+    });
 
     return {
       extension: ext,
       currency,
-      basePrice,
-      discount,
-      tax,
-      totalPrice,
+      basePrice: toMajor(basePrice, money),
+      discount: toMajor(discount, money),
+      subtotal: toMajor(subtotal, money),
+      tax: toMajor(tax, money),
+      taxes: toTaxLines(taxes.lines, money),
+      taxExemption: taxes.exemption,
+      taxMode,
+      discountStatuses: statuses,
+      totalPrice: toMajor(totalPrice, money),
+      minorUnits: { exponent: money.exponent, basePrice, discount, subtotal, tax, totalPrice },
       symbol,
       domainTransaction: tx,
-      provider: this.config.createProviders?.[ext],
+      years,
+      breakdown,
+      provider,
+      ...(warnings.length > 0 && { warnings }),
+      markupRule: firstYear.explanation.markup?.rule,
+      datasetVersion: config.datasetVersion,
+      explain: money.trail && {
+        currency,
+        exponent: money.exponent,
+        roundingIncrement: money.increment,
+        prices: renewal === firstYear ? [firstYear.explanation] : [firstYear.explanation, renewal.explanation],
+        discountPolicy: options.discountPolicy ?? 'max',
+        discounts: statuses,
+        rounding: money.trail,
+      },
+    };
+  }
+
+  // A per-currency amount in the quote currency's minor units: its own entry, or another currency's
+  // (USD first) converted through the exchange rates. Undefined when no entry can be converted.
+  private resolveCurrencyAmount(
+    config: DomainQuoteConfig,
+    amounts: Record<string, number>,
+    rateInfo: ExchangeRateData,
+    money: MoneyContext,
+    cache: QuoteCache,
+    step: string
+  ): number | undefined {
+    const entries = Object.entries(amounts)
+      .map(([code, amount]) => ({ code: code.toUpperCase(), amount }))
+      .filter(({ amount }) => Number.isFinite(amount) && amount > 0);
+    const direct = entries.find((entry) => entry.code === rateInfo.currencyCode);
+    if (direct) return toMinor(direct.amount, money, step);
+    const convertible = entries
+      .filter(({ code }) => code === 'USD' || config.exchangeRates.some((r) => r.currencyCode === code))
+      .sort((a, b) => Number(b.code === 'USD') - Number(a.code === 'USD'));
+    if (convertible.length === 0) return undefined;
+    const source = convertible[0];
+    const sourceRate = this.findRateInfo(config, source.code, cache).exchangeRate;
+    return toMinor((source.amount / sourceRate) * rateInfo.exchangeRate, money, step);
+  }
+
+  // Price of one year of `tx` for `ext` in `currency` in minor units, rounded after markup and conversion,
+  // with the steps that produced it.
+  private resolveYearPrice(
+    config: DomainQuoteConfig,
+    ext: string,
+    tx: TransactionType,
+    currency: string,
+    rateInfo: ExchangeRateData,
+    money: MoneyContext,
+    cache: QuoteCache
+  ): { amount: number; explanation: QuotePriceExplanation } {
+    const createMap = toPriceMap(config.createPrices[ext]);
+    if (!createMap) {
+      throw new UnsupportedExtensionError(ext);
+    }
+
+    const overrideTable = overrideTableFor(tx);
+    const override = overrideTable ? toPriceMap(config[overrideTable]?.[ext]) : undefined;
+    const priceMap: Record<string, number> = { ...createMap, ...override };
+    // Which table each currency's price came from
+    const sourceOf = (code: string): PriceTableName => (
+      overrideTable && override?.[code] !== undefined ? overrideTable : 'createPrices'
+    );
+    const rowOf = (code: string): PriceRow | undefined => config.priceRows?.[sourceOf(code)]?.[ext]?.[code];
+
+    if (Object.keys(priceMap).length === 0) {
+      throw new UnsupportedExtensionError(ext);
+    }
+
+    let baseUsd = priceMap.USD;
+    let usdSource: PriceTableName | 'exchangeRate' = sourceOf('USD');
+    const directCurrencyPrice = priceMap[currency];
+    if (baseUsd === undefined && directCurrencyPrice !== undefined) {
+      baseUsd = directCurrencyPrice / rateInfo.exchangeRate;
+      usdSource = 'exchangeRate';
+    }
+    if (baseUsd === undefined || baseUsd <= 0) {
+      throw new UnsupportedExtensionError(ext);
+    }
+    const rateOf = (code: string): number => (
+      code === currency ? rateInfo.exchangeRate : this.findRateInfo(config, code, cache).exchangeRate
+    );
+    const marked = markUp(config, ext, tx, baseUsd, currency, rateOf);
+    const markedUsd = marked.usd;
+
+    let conversion: PriceConversion;
+    let amount: number;
+    if (directCurrencyPrice !== undefined && baseUsd > 0) {
+      const impliedRate = directCurrencyPrice / baseUsd;
+      amount = toMinor((markedUsd * impliedRate) + marked.local, money, `price:${tx}`);
+      const source = sourceOf(currency);
+      conversion = { method: 'direct', price: directCurrencyPrice, source, row: rowOf(currency), impliedRate };
+    } else {
+      amount = toMinor((markedUsd * rateInfo.exchangeRate) + marked.local, money, `price:${tx}`);
+      conversion = { method: 'fx', rate: rateInfo.exchangeRate };
+    }
+    const priceEnding = findCurrencyMeta(config, currency)?.priceEnding;
+    const rounded = amount;
+    if (priceEnding) amount = applyPriceEnding(amount, priceEnding, money, `ending:${tx}`);
+
+    return {
+      amount,
+      explanation: {
+        transaction: tx,
+        years: [],
+        overrideTable,
+        overrideUsed: override !== undefined,
+        usdPrice: baseUsd,
+        usdSource,
+        usdRow: usdSource === 'exchangeRate' ? undefined : rowOf('USD'),
+        markup: marked.markup && {
+          ...marked.markup,
+          before: baseUsd,
+          after: markedUsd,
+          ...(marked.local && { local: marked.local }),
+          ...(marked.rule && { rule: marked.rule.id }),
+          ...(marked.clamped && { clamped: marked.clamped }),
+        },
+        conversion,
+        ...(amount !== rounded && { priceEnding: { before: toMajor(rounded, money), after: toMajor(amount, money) } }),
+        amount: toMajor(amount, money),
+      },
     };
   }
 }
 
-// Build default config snapshot from the bundled JSON data.
+// Default config shared by the module-level helpers. The price tables and exchange rates stay empty
+// until `loadDefaultConfig()` resolves; importing the module performs no I/O.
 export const DEFAULT_CONFIG: DomainQuoteConfig = {
-  createPrices: loadPrices(),
-  renewPrices: loadRenewPrices(),
-  transferPrices: loadTransferPrices(),
-  createProviders: loadCreateProviders(),
-  exchangeRates: loadExchangeRates(),
+  createPrices: {},
+  renewPrices: {},
+  transferPrices: {},
+  createProviders: {},
+  renewProviders: {},
+  transferProviders: {},
+  exchangeRates: [],
   vatRate: DEFAULT_VAT_RATE,
   discounts: {},
   supportedCurrencies: ['USD', 'NGN'],
 };
 
+let defaultSource: DomainDataSource | undefined;
+let defaultConfigLoad: Promise<DomainQuoteConfig> | undefined;
+
+/**
+ * Populates `DEFAULT_CONFIG` with remote pricing data. Without a `source` the public registrar
+ * price lists are fetched once and reused; passing a source (e.g. one with a custom `fetch` or
+ * URLs) reloads the defaults from it.
+ */
+export async function loadDefaultConfig(source?: DomainDataSource): Promise<DomainQuoteConfig> {
+  if (source || !defaultConfigLoad) {
+    const active = source ?? (defaultSource ??= createDomainDataSource());
+    const load = active.load().then((loaded) => {
+      // Take everything the source loaded (tables, providers, rows, dataset version) except the
+      // pricing settings, which stay as the caller left them on DEFAULT_CONFIG.
+      const { vatRate, discounts, supportedCurrencies, ...data } = loaded;
+      Object.assign(DEFAULT_CONFIG, data);
+      return DEFAULT_CONFIG;
+    });
+    defaultConfigLoad = load;
+    // Forget a failed load so the next call retries instead of replaying the error.
+    load.catch(() => {
+      if (defaultConfigLoad === load) defaultConfigLoad = undefined;
+    });
+  }
+  return defaultConfigLoad;
+}
+
 export async function getDefaultQuote(
   extension: string,
   currencyCode: string,
   options: GetQuoteOptions = {}
 ): Promise<Quote> {
+  await loadDefaultConfig();
   const dq = new DomainQuotes(DEFAULT_CONFIG);
   return dq.getQuote(extension, currencyCode, options);
 }
+
+export async function getDefaultDomainQuote(
+  domain: string,
+  currencyCode: string,
+  options: GetQuoteOptions = {}
+): Promise<DomainQuote> {
+  await loadDefaultConfig();
+  const dq = new DomainQuotes(DEFAULT_CONFIG);
+  return dq.getDomainQuote(domain, currencyCode, options);
+}
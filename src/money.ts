@@ -0,0 +1,118 @@
+// Money arithmetic on integer minor units (kobo, cents). Amounts are converted from floating-point
+// major units once, rounded at fixed points of the pipeline, and added/subtracted as integers so
+// totals always reconcile with their parts.
+
+import type { CurrencyMeta, PriceEndingPolicy, RoundingStep } from './types';
+
+/** How amounts of one currency are stored and rounded. */
+export interface MoneyContext {
+  /** Decimal places of the minor unit: major = minor / 10 ** exponent. */
+  exponent: number;
+  /** Rounded amounts are multiples of this many minor units (100 = whole major units). */
+  increment: number;
+  /** When set, every labelled rounding is recorded here (for `explain`). */
+  trail?: RoundingStep[];
+}
+
+const DEFAULT_EXPONENT = 2;
+
+/**
+ * Rounding for one currency. `allowFractional` overrides the metadata: true rounds to the minor unit,
+ * false to whole units. Otherwise the currency's `roundingIncrement` applies (default 1), and
+ * currencies without metadata keep the legacy whole-unit rounding.
+ */
+export function createMoneyContext(currency: CurrencyMeta | undefined, allowFractional?: boolean): MoneyContext {
+  const exponent = currency?.exponent ?? DEFAULT_EXPONENT;
+  if (allowFractional !== undefined) {
+    return { exponent, increment: allowFractional ? 1 : 10 ** exponent };
+  }
+  if (!currency) {
+    return { exponent, increment: 10 ** exponent };
+  }
+  return { exponent, increment: currency.roundingIncrement ?? 1 };
+}
+
+/**
+ * Rounds a minor-unit value to the context's increment, half away from zero. The value is first
+ * trimmed to 15 significant digits so float noise (164.99999999999997) does not flip a half.
+ */
+export function roundMinor(value: number, money: MoneyContext, step?: string): number {
+  const trimmed = Number(value.toPrecision(15));
+  const steps = Math.round(Math.abs(trimmed) / money.increment) * Math.sign(trimmed);
+  const rounded = steps * money.increment + 0;
+  if (money.trail && step) {
+    money.trail.push({ step, exact: toMajor(trimmed, money), rounded: toMajor(rounded, money) });
+  }
+  return rounded;
+}
+
+export function toMinor(amount: number, money: MoneyContext, step?: string): number {
+  return roundMinor(amount * 10 ** money.exponent, money, step);
+}
+
+export function toMajor(minor: number, money: MoneyContext): number {
+  return minor / 10 ** money.exponent;
+}
+
+/** `rate` (e.g. 0.075) of a minor-unit amount, rounded. */
+export function percentOf(minor: number, rate: number, money: MoneyContext, step?: string): number {
+  return roundMinor(minor * rate, money, step);
+}
+
+/**
+ * Splits `total` over slots in proportion to `weights`, in whole increments. Leftover increments go to
+ * the largest remainders (earliest slot on ties), so the parts add up to `total` exactly and no part
+ * exceeds its weight while `total` does not exceed the sum of the weights.
+ */
+export function allocateMinor(total: number, weights: number[], money: MoneyContext): number[] {
+  const weightSum = sumMinor(weights);
+  if (weightSum <= 0) return weights.map(() => 0);
+  const units = Math.round(total / money.increment);
+  const exact = weights.map((weight) => (units * weight) / weightSum);
+  const parts = exact.map(Math.floor);
+  const order = exact
+    .map((value, i) => ({ i, remainder: value - parts[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (let left = units - sumMinor(parts), k = 0; left > 0; left--, k++) {
+    parts[order[k].i]++;
+  }
+  return parts.map((part) => part * money.increment);
+}
+
+/**
+ * Moves a minor-unit price onto a price point from `policy.pricePoints`, or failing that onto one of
+ * its `endings`, in the policy's direction. Candidates further than `maxDeviation` from the price are
+ * not used; the price is returned unchanged when none is left.
+ */
+export function applyPriceEnding(minor: number, policy: PriceEndingPolicy, money: MoneyContext, step?: string): number {
+  const scale = 10 ** money.exponent;
+  const ladder = (policy.pricePoints ?? []).map((point) => Math.round(point * scale));
+  const endings = (policy.endings ?? []).flatMap((ending) => {
+    if (!(ending > 0)) return [];
+    // An ending repeats every power of ten above it: 99 every 100, 900 every 1000, 0.99 every 1
+    let period = 1;
+    while (period <= ending) period *= 10;
+    const endingMinor = Math.round(ending * scale);
+    const periodMinor = Math.round(period * scale);
+    const below = Math.floor((minor - endingMinor) / periodMinor) * periodMinor + endingMinor;
+    return [below, below + periodMinor];
+  });
+  const maxDeviation = policy.maxDeviation === undefined ? Infinity : policy.maxDeviation * minor;
+  const pick = (candidates: number[]): number | undefined => {
+    const allowed = candidates.filter((c) => c > 0 && Math.abs(c - minor) <= maxDeviation && (
+      policy.direction === 'up' ? c >= minor : policy.direction === 'down' ? c <= minor : true
+    ));
+    // Nearest first; ties go up so the margin is kept
+    allowed.sort((a, b) => Math.abs(a - minor) - Math.abs(b - minor) || b - a);
+    return allowed[0];
+  };
+  const snapped = pick(ladder) ?? pick(endings) ?? minor;
+  if (money.trail && step && snapped !== minor) {
+    money.trail.push({ step, exact: toMajor(minor, money), rounded: toMajor(snapped, money) });
+  }
+  return snapped;
+}
+
+export function sumMinor(values: number[]): number {
+  return values.reduce((total, value) => total + value, 0);
+}
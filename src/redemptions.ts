@@ -0,0 +1,76 @@
+import { RedemptionNotFoundError } from './errors';
+import type {
+  MemoryRedemptionStoreOptions,
+  RedemptionLimits,
+  RedemptionReserveResult,
+  RedemptionStore,
+  RedemptionUsage
+} from './types';
+
+interface Redemption {
+  code: string;
+  customerId?: string;
+  committed: boolean;
+  // Held redemptions lapse at this time unless committed
+  expiresAt: number;
+}
+
+/**
+ * A `RedemptionStore` kept in process memory. Usage is lost on restart and is not shared between
+ * processes, so use a store backed by a database for more than one instance.
+ */
+export function createMemoryRedemptionStore(options: MemoryRedemptionStoreOptions = {}): RedemptionStore {
+  const holdTtlMs = options.holdTtlMs ?? Infinity;
+  const redemptions = new Map<string, Redemption>();
+  let nextId = 1;
+
+  const purge = (): void => {
+    const now = Date.now();
+    for (const [id, redemption] of redemptions) {
+      if (!redemption.committed && redemption.expiresAt <= now) redemptions.delete(id);
+    }
+  };
+
+  const usage = (code: string, customerId?: string, excludeIds?: string[]): RedemptionUsage => {
+    purge();
+    const result: RedemptionUsage = { total: 0, customer: 0 };
+    for (const [id, redemption] of redemptions) {
+      if (redemption.code !== code) continue;
+      if (!redemption.committed && excludeIds?.includes(id)) continue;
+      result.total++;
+      if (customerId !== undefined && redemption.customerId === customerId) result.customer++;
+    }
+    return result;
+  };
+
+  return {
+    usage,
+
+    reserve(code: string, customerId: string | undefined, limits: RedemptionLimits): RedemptionReserveResult {
+      // Counting and holding happen in one synchronous step, so concurrent checkouts cannot overshoot
+      const used = usage(code, customerId);
+      if (limits.maxRedemptions !== undefined && used.total >= limits.maxRedemptions) {
+        return { ok: false, limit: 'total' };
+      }
+      if (limits.maxRedemptionsPerCustomer !== undefined && used.customer >= limits.maxRedemptionsPerCustomer) {
+        return { ok: false, limit: 'customer' };
+      }
+      const id = `redemption-${nextId++}`;
+      redemptions.set(id, { code, customerId, committed: false, expiresAt: Date.now() + holdTtlMs });
+      return { ok: true, id };
+    },
+
+    commit(id: string): void {
+      purge();
+      const redemption = redemptions.get(id);
+      if (!redemption) throw new RedemptionNotFoundError(id);
+      redemption.committed = true;
+    },
+
+    release(id: string): boolean {
+      const redemption = redemptions.get(id);
+      if (!redemption || redemption.committed) return false;
+      return redemptions.delete(id);
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { sumMinor } from './money';
+
+/** An applicable discount as seen by `selectDiscounts`. */
+export interface DiscountCandidate {
+  /** Minor-unit amount per slot (year of a quote). */
+  amounts: number[];
+  /** Candidates sharing a group never combine; at most one of them applies. */
+  group: string;
+  priority: number;
+  /** Combines with nothing. */
+  exclusive: boolean;
+}
+
+/** Why a candidate lost, and the winning candidates that beat it. */
+export interface DiscountSuppression {
+  reason: 'group' | 'exclusive';
+  by: number[];
+}
+
+export interface DiscountSelection {
+  /** Per-slot amounts of the winners together, each capped at the slot's price. */
+  amounts: number[];
+  winners: number[];
+  suppressed: Map<number, DiscountSuppression>;
+}
+
+/**
+ * Picks the discounts to apply. Priorities are settled from the highest down, so a discount never
+ * loses to one with a lower priority. Within a priority, the largest candidate of each group not yet
+ * taken is picked (the earliest on ties), and an exclusive candidate replaces the lot when nothing
+ * has been picked yet and it takes off more.
+ */
+export function selectDiscounts(candidates: DiscountCandidate[], caps: number[]): DiscountSelection {
+  const capped = (indices: number[]): number[] => caps.map((cap, slot) => (
+    Math.min(cap, sumMinor(indices.map((i) => candidates[i].amounts[slot])))
+  ));
+  const uncapped = candidates.map((candidate) => sumMinor(candidate.amounts));
+
+  const winners: number[] = [];
+  const groupWinners = new Map<string, number>();
+  let exclusiveWinner: number | undefined;
+  const priorities = Array.from(new Set(candidates.map((c) => c.priority))).sort((a, b) => b - a);
+  for (const priority of priorities) {
+    const tier = candidates.map((_, i) => i).filter((i) => candidates[i].priority === priority);
+    const picks = new Map<string, number>();
+    for (const i of tier) {
+      const { group, exclusive } = candidates[i];
+      if (exclusive || groupWinners.has(group)) continue;
+      const current = picks.get(group);
+      if (current === undefined || uncapped[i] > uncapped[current]) picks.set(group, i);
+    }
+    let best = Array.from(picks.values());
+    if (winners.length === 0) {
+      let bestTotal = sumMinor(capped(best));
+      for (const i of tier) {
+        if (!candidates[i].exclusive) continue;
+        const total = sumMinor(capped([i]));
+        if (total > bestTotal) {
+          best = [i];
+          bestTotal = total;
+          exclusiveWinner = i;
+        }
+      }
+    }
+    for (const i of best) {
+      winners.push(i);
+      groupWinners.set(candidates[i].group, i);
+    }
+    if (exclusiveWinner !== undefined) break;
+  }
+
+  const suppressed = new Map<number, DiscountSuppression>();
+  candidates.forEach((candidate, i) => {
+    if (winners.includes(i)) return;
+    if (exclusiveWinner !== undefined) {
+      suppressed.set(i, { reason: 'exclusive', by: [exclusiveWinner] });
+    } else if (candidate.exclusive) {
+      suppressed.set(i, { reason: 'exclusive', by: winners.slice() });
+    } else {
+      suppressed.set(i, { reason: 'group', by: [groupWinners.get(candidate.group)!] });
+    }
+  });
+  return { amounts: capped(winners), winners, suppressed };
+}
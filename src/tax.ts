@@ -0,0 +1,87 @@
+import type { MoneyContext } from './money';
+import { percentOf, roundMinor, sumMinor, toMajor } from './money';
+import type { TaxLine, TaxRule } from './types';
+
+/** Minor-unit amounts a tax can be charged on. */
+export interface TaxableAmounts {
+  /** Price before discounts. */
+  base: number;
+  /** Price after discounts. */
+  subtotal: number;
+}
+
+/** A computed tax line in minor units. */
+export interface MinorTaxLine {
+  rule: TaxRule;
+  taxable: number;
+  amount: number;
+}
+
+/**
+ * Applies `rules` in order. Each rule taxes its basis (the discounted subtotal unless `basis` is
+ * 'base'); a compound rule also taxes the lines before it. Every line is rounded on its own, so the
+ * total tax is the exact sum of the lines.
+ */
+export function computeTaxLines(rules: TaxRule[], amounts: TaxableAmounts, money: MoneyContext): MinorTaxLine[] {
+  const lines: MinorTaxLine[] = [];
+  for (const rule of rules) {
+    const basis = rule.basis === 'base' ? amounts.base : amounts.subtotal;
+    const taxable = rule.compound ? basis + sumMinor(lines.map((line) => line.amount)) : basis;
+    lines.push({ rule, taxable, amount: percentOf(taxable, rule.rate, money, `tax:${rule.id}`) });
+  }
+  return lines;
+}
+
+/** Divides tax-inclusive amounts by the combined rate of `rules`, compound rules included. */
+export function netOfTaxes(rules: TaxRule[], gross: TaxableAmounts, money: MoneyContext): TaxableAmounts {
+  let combinedRate = 0;
+  for (const rule of rules) {
+    combinedRate += rule.compound ? rule.rate * (1 + combinedRate) : rule.rate;
+  }
+  return {
+    base: roundMinor(gross.base / (1 + combinedRate), money, 'net:base'),
+    subtotal: roundMinor(gross.subtotal / (1 + combinedRate), money, 'net:subtotal'),
+  };
+}
+
+/**
+ * Backs the taxes out of tax-inclusive amounts. The lines are computed as usual on the amounts net of
+ * `rules`. The returned subtotal is the gross subtotal minus the rounded tax, so subtotal + tax stays
+ * exactly gross.
+ */
+export function computeInclusiveTaxLines(
+  rules: TaxRule[],
+  gross: TaxableAmounts,
+  money: MoneyContext
+): { lines: MinorTaxLine[]; subtotal: number } {
+  const lines = computeTaxLines(rules, netOfTaxes(rules, gross, money), money);
+  return { lines, subtotal: gross.subtotal - sumMinor(lines.map((line) => line.amount)) };
+}
+
+export function toTaxLines(lines: MinorTaxLine[], money: MoneyContext): TaxLine[] {
+  return lines.map(({ rule, taxable, amount }) => ({
+    id: rule.id,
+    name: rule.name,
+    rate: rule.rate,
+    jurisdiction: rule.jurisdiction,
+    basis: rule.basis ?? 'subtotal',
+    compound: rule.compound ?? false,
+    taxableAmount: toMajor(taxable, money),
+    amount: toMajor(amount, money),
+  }));
+}
+
+/** Sums the lines of several items per rule id, keeping the order rules were first seen in. */
+export function mergeTaxLines(groups: MinorTaxLine[][]): MinorTaxLine[] {
+  const merged = new Map<string, MinorTaxLine>();
+  for (const line of groups.flat()) {
+    const existing = merged.get(line.rule.id);
+    if (existing) {
+      existing.taxable += line.taxable;
+      existing.amount += line.amount;
+    } else {
+      merged.set(line.rule.id, { ...line });
+    }
+  }
+  return Array.from(merged.values());
+}
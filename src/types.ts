@@ -3,19 +3,194 @@ export interface Quote {
   currency: string;
   basePrice: number;
   discount: number;
+  /** basePrice - discount, the amount tax is charged on. */
+  subtotal: number;
+  /** Sum of `taxes`. */
   tax: number;
+  /**
+   * How tax relates to the prices. In 'inclusive' mode basePrice and discount include tax, totalPrice is
+   * basePrice - discount, and subtotal is what remains after backing the tax out.
+   */
+  taxMode: TaxMode;
+  /** One line per applied tax rule, in rule order. */
+  taxes: TaxLine[];
+  /**
+   * Every code from `discountCodes`, deduplicated and in order, with whether and why it applied, followed
+   * by the automatic discounts whose window, extensions and transactions matched (marked `automatic`).
+   */
+  discountStatuses: DiscountCodeResult[];
+  /** Why tax was reduced or waived, when the tax resolver said so. */
+  taxExemption?: TaxExemption;
+  /**
+   * subtotal + tax. The major-unit fields are floating-point numbers, so adding them can be off in the last
+   * bits (1.05 + 0.08 is 1.1300000000000001); compare `minorUnits` for an exact check.
+   */
   totalPrice: number;
+  /** The same amounts as integer minor units, where `subtotal + tax === totalPrice` holds exactly. */
+  minorUnits: QuoteMinorUnits;
   symbol: string;
   domainTransaction: TransactionType;
-  /** The registrar that owns the quoted (cheapest) create price for this extension, e.g. 'openprovider' | 'namecheap' | 'nira'. */
+  /** Number of years quoted. */
+  years: number;
+  /** Per-year split of `basePrice` and `discount`; year 1 is the requested transaction, later years are renewals. */
+  breakdown: QuoteYear[];
+  /** Id of the markup rule that priced the requested transaction (year 1), if a rule matched. */
+  markupRule?: string;
+  /**
+   * The registrar that owns the price year 1 was quoted from, e.g. 'openprovider' | 'namecheap' | 'nira': the
+   * renew or transfer table's provider when that table priced the quote.
+   */
   provider?: string;
+  /** Things to check before fulfilling, e.g. create and renew going through different registrars. */
+  warnings?: QuoteWarning[];
+  /** Version of the dataset the quote was computed against (the snapshot content hash), when the config carries one. */
+  datasetVersion?: string;
+  /** How the quote was computed. Only present when requested with `options.explain`. */
+  explain?: QuoteExplanation;
 }
 
-export type MarkupType = 'percentage' | 'fixedUsd';
+/** 'provider-mismatch': the quoted transaction and later renewals are priced by different registrars. */
+export interface QuoteWarning {
+  code: 'provider-mismatch';
+  message: string;
+  /** Registrar behind the quoted transaction. */
+  provider: string;
+  /** Registrar behind renewals of the extension. */
+  renewProvider: string;
+}
+
+/** The audit trail of one quote, for answering "why did this cost X?". */
+export interface QuoteExplanation {
+  currency: string;
+  /** Rounding in effect: minor-unit exponent and increment (in minor units). */
+  exponent: number;
+  roundingIncrement: number;
+  /** One entry per distinct yearly price: year 1, and the renewal price for multi-year terms. */
+  prices: QuotePriceExplanation[];
+  discountPolicy: DiscountPolicy;
+  /** Same as `quote.discountStatuses`. */
+  discounts: DiscountCodeResult[];
+  /** Every rounding step in pipeline order, in major units. */
+  rounding: RoundingStep[];
+}
+
+export type PriceTableName = 'createPrices' | 'renewPrices' | 'restorePrices' | 'transferPrices';
+
+export interface QuotePriceExplanation {
+  transaction: TransactionType;
+  /** The 1-based years priced at this amount. */
+  years: number[];
+  /** The transaction table consulted on top of `createPrices`, and whether it had an entry for the extension. */
+  overrideTable?: PriceTableName;
+  overrideUsed: boolean;
+  /** USD cost before markup and where it came from ('exchangeRate' when derived from a direct currency price). */
+  usdPrice: number;
+  usdSource: PriceTableName | 'exchangeRate';
+  /** The unified CSV row that supplied `usdPrice`, when the dataset recorded it. */
+  usdRow?: PriceRow;
+  /**
+   * Present when a markup applied. Amounts in USD; `local` is the part added in the quote currency after
+   * conversion. `rule` is the matching markup rule's id and `clamped` says whether its margin floor or
+   * ceiling set the price.
+   */
+  markup?: Markup & { before: number; after: number; local?: number; rule?: string; clamped?: 'floor' | 'ceiling' };
+  conversion: PriceConversion;
+  /** Present when the currency's price-ending policy moved the price; amounts in the quote currency. */
+  priceEnding?: { before: number; after: number };
+  /** Rounded price for one year in the quote currency. */
+  amount: number;
+}
+
+/**
+ * 'direct': the table had a price in the quote currency; the marked-up USD price is scaled by the
+ * implied rate `price / usdPrice`. 'fx': the USD price is converted at the exchange rate.
+ */
+export type PriceConversion =
+  | { method: 'direct'; price: number; source: PriceTableName; row?: PriceRow; impliedRate: number }
+  | { method: 'fx'; rate: number };
+
+export interface RoundingStep {
+  /** e.g. 'price:create', 'discount:SAVE10:year1', 'tax:vat'. */
+  step: string;
+  exact: number;
+  rounded: number;
+}
+
+/** A domain name split at the longest supported suffix, e.g. `shop.example.com.ng` -> `example` + `com.ng`. */
+export interface DomainNameParts {
+  /** The registrable domain, e.g. 'example.com.ng'. */
+  domain: string;
+  /** The label being registered, e.g. 'example'. */
+  label: string;
+  /** The matched extension, e.g. 'com.ng'. */
+  extension: string;
+  /** Labels left of the registrable domain, e.g. 'shop'. Undefined when there are none. */
+  subdomain?: string;
+}
+
+export interface DomainQuote extends Quote, DomainNameParts {}
+
+/**
+ * Quote amounts in the currency's minor unit (kobo, cents). The pipeline computes these integers and
+ * derives the major-unit fields from them: major = minor / 10 ** exponent.
+ */
+export interface QuoteMinorUnits {
+  exponent: number;
+  basePrice: number;
+  discount: number;
+  subtotal: number;
+  tax: number;
+  totalPrice: number;
+}
+
+export interface QuoteYear {
+  /** 1-based year of the term. */
+  year: number;
+  /** How the year is priced: the requested transaction for year 1, 'renew' afterwards. */
+  transaction: TransactionType;
+  basePrice: number;
+  discount: number;
+  /** basePrice - discount */
+  subtotal: number;
+  /** Id of the markup rule that priced this year. */
+  markupRule?: string;
+  /** Registrar that owns this year's price. */
+  provider?: string;
+}
+
+/** 'percentage' of the wholesale price, 'fixedUsd' dollars, or a 'fixed' amount in the markup's `currency`. */
+export type MarkupType = 'percentage' | 'fixedUsd' | 'fixed';
 
 export interface Markup {
   type: MarkupType;
   value: number;
+  /**
+   * For 'fixed' markups (default 'USD'). Added as is when quoting in this currency, converted through
+   * `exchangeRates` otherwise.
+   */
+  currency?: string;
+  /** Further markups added on top, each worked out on the wholesale price, e.g. a percentage plus ₦1,500. */
+  plus?: Markup[];
+}
+
+/**
+ * A markup for the prices it matches. Every filter given must match; `config.markupRules` are tried in
+ * order and the first match wins. Prices no rule matches use `config.markup`.
+ */
+export interface MarkupRule extends Markup {
+  /** Reported on quotes as `markupRule`. */
+  id: string;
+  extensions?: string[];
+  /** Names of `config.tldGroups`; the extension must be in one of them. */
+  tldGroups?: string[];
+  /** Matched against each year's transaction: the requested one for year 1, 'renew' afterwards. */
+  transactions?: TransactionType[];
+  /** Wholesale USD price band: `min` inclusive, `max` exclusive. */
+  priceBand?: { min?: number; max?: number };
+  /** Least margin added, in USD, whatever the markup works out to. */
+  minMarginUsd?: number;
+  /** Most margin added, in USD. */
+  maxMarginUsd?: number;
 }
 
 export interface ExchangeRateData {
@@ -35,8 +210,10 @@ export interface DiscountEligibilityContext {
   currency: string;
   /** The transaction type */
   transaction: TransactionType;
-  /** The base price before discount */
+  /** The base price before discount, summed over all quoted years */
   basePrice: number;
+  /** Number of years being quoted */
+  years: number;
   /** The discount code being evaluated */
   discountCode: string;
 }
@@ -45,14 +222,229 @@ export interface DiscountEligibilityContext {
 export type DiscountEligibilityCallback = (context: DiscountEligibilityContext) => boolean | Promise<boolean>;
 
 export interface DiscountConfig {
-  rate: number;
+  /** Percentage off, e.g. 0.1 = 10%. Ignored when `amount` is set; one of the two is required. */
+  rate?: number;
+  /**
+   * Fixed amount off the whole quote, by currency in major units, e.g. { NGN: 2000, USD: 5 }. Currencies
+   * without an entry get another entry (USD first) converted through the exchange rates.
+   */
+  amount?: Record<string, number>;
   extensions: string[];
   startAt: string;
   endAt: string;
+  /**
+   * IANA time zone, e.g. 'Africa/Lagos'. `startAt`/`endAt` without a UTC offset are read as local time
+   * there, and `recurrence` follows its calendar. Default: offsets as `Date.parse` reads them, recurrence in UTC.
+   */
+  timeZone?: string;
+  /** Repeating periods within `startAt`..`endAt` when the discount is open, e.g. every Friday. */
+  recurrence?: DiscountRecurrence;
   /** Optional list of transaction types this discount applies to. If omitted, applies to all transaction types. */
   transactions?: TransactionType[];
   /** Optional callback for custom eligibility logic. Invoked only after all other criteria are satisfied. */
   isEligible?: DiscountEligibilityCallback;
+  /** Which years of a multi-year quote the discount applies to. Defaults to 'allYears'. */
+  yearScope?: DiscountYearScope;
+  /**
+   * Redemptions allowed across all customers, counting held ones. A redemption is one order: a cart uses
+   * one however many of its lines the code discounts. See `DomainQuotes#reserveRedemption`.
+   */
+  maxRedemptions?: number;
+  /** Redemptions allowed per `customer.id`. Quotes without a customer id are refused the code. */
+  maxRedemptionsPerCustomer?: number;
+  /**
+   * Apply without being entered, e.g. a sitewide sale, whenever the window, extensions and transactions
+   * match. Competes with entered codes under the quote's `discountPolicy` like any other code.
+   */
+  automatic?: boolean;
+  /**
+   * Discounts in the same group never combine: only the best one applies. Grouped discounts combine with
+   * discounts outside their group under either policy. Ungrouped discounts share one group under 'max'
+   * and each have their own under 'stack'.
+   */
+  stackGroup?: string;
+  /** Settled before lower priorities: a discount is never dropped for one with a lower priority. Default: 0. */
+  priority?: number;
+  /** Combines with no other discount. Applies alone if it takes off more than what would apply otherwise. */
+  exclusive?: boolean;
+  /**
+   * The most the discount takes off a quote, by currency in major units. Converted like `amount`; a quote
+   * currency with no convertible entry refuses the code ('wrong-currency').
+   */
+  maxDiscountAmount?: Record<string, number>;
+  /** Minimum base price of the quote (all years, before discounts), by currency like `amount`. */
+  minBasePrice?: Record<string, number>;
+  /** Minimum order total before discounts, by currency like `amount`. See `GetQuoteOptions.orderTotal`. */
+  minOrderTotal?: Record<string, number>;
+}
+
+export type DiscountYearScope = 'firstYear' | 'allYears';
+
+/**
+ * Days (and optionally hours) a discount is open. Every list given must match, so Black Friday is
+ * `{ months: [11], daysOfWeek: [5], daysOfMonth: [23, 24, 25, 26, 27, 28, 29] }`.
+ */
+export interface DiscountRecurrence {
+  /** 0 = Sunday ... 6 = Saturday. */
+  daysOfWeek?: number[];
+  /** 1-31; negative counts from the end of the month, -1 being the last day. */
+  daysOfMonth?: number[];
+  /** 1 = January ... 12 = December. */
+  months?: number[];
+  /** Local 'HH:mm' the discount opens on matching days. Default: '00:00'. */
+  startTime?: string;
+  /** Local 'HH:mm' it closes, exclusive. Default: '24:00'. An end before the start runs into the next day. */
+  endTime?: string;
+}
+
+export type RedemptionLimits = Pick<DiscountConfig, 'maxRedemptions' | 'maxRedemptionsPerCustomer'>;
+
+/** Redemptions of a code, committed or held: in total and by one customer (0 without a customer id). */
+export interface RedemptionUsage {
+  total: number;
+  customer: number;
+}
+
+export type RedemptionReserveResult = { ok: true; id: string } | { ok: false; limit: 'total' | 'customer' };
+
+/**
+ * Where discount redemptions are counted. A redemption is held by `reserve` while payment is pending,
+ * then made permanent by `commit` or dropped by `release`. Held redemptions count against the limits.
+ */
+export interface RedemptionStore {
+  /** Counts the code's redemptions, leaving out the held ones in `excludeIds` (the quoting order's own). */
+  usage(code: string, customerId?: string, excludeIds?: string[]): RedemptionUsage | Promise<RedemptionUsage>;
+  /** Holds one redemption unless that would exceed `limits`. Checking and holding must be atomic. */
+  reserve(
+    code: string,
+    customerId: string | undefined,
+    limits: RedemptionLimits
+  ): RedemptionReserveResult | Promise<RedemptionReserveResult>;
+  /** Makes a held redemption permanent. Throws `RedemptionNotFoundError` if it is not held. */
+  commit(id: string): void | Promise<void>;
+  /** Drops a held redemption. Resolves to false if it is not held. */
+  release(id: string): boolean | Promise<boolean>;
+}
+
+export interface MemoryRedemptionStoreOptions {
+  /** Held redemptions lapse after this many milliseconds unless committed. Default: never. */
+  holdTtlMs?: number;
+}
+
+/** Why a code cannot be redeemed, as reported in `DiscountCodeStatus` and `RedemptionLimitError`. */
+export type RedemptionRefusal = 'redemption-limit-reached' | 'customer-limit-reached' | 'customer-required';
+
+/** Context passed to cart discount eligibility callbacks */
+export interface CartDiscountContext {
+  /** The cart currency code */
+  currency: string;
+  /** Number of lines that qualify for the discount */
+  itemCount: number;
+  /** Sum of the qualifying lines' subtotals after line-level discounts */
+  subtotal: number;
+  /** The discount code being evaluated */
+  discountCode: string;
+}
+
+export type CartDiscountEligibilityCallback = (context: CartDiscountContext) => boolean | Promise<boolean>;
+
+/** A discount evaluated against a whole cart rather than a single extension, e.g. "10% off 3+ domains". */
+export interface CartDiscountConfig {
+  /** Rate applied to each qualifying line's subtotal (after line-level discounts). */
+  rate: number;
+  startAt: string;
+  endAt: string;
+  /** Minimum number of qualifying lines. Default: 1. */
+  minItems?: number;
+  /** Only lines for these extensions qualify. If omitted, every line qualifies. */
+  extensions?: string[];
+  /** Only lines of these transaction types qualify. If omitted, every transaction type qualifies. */
+  transactions?: TransactionType[];
+  /** Optional callback for custom eligibility logic. Invoked only after all other criteria are satisfied. */
+  isEligible?: CartDiscountEligibilityCallback;
+}
+
+/**
+ * Why a discount code did or did not reduce the price. Checks run in this order and the first
+ * failure is reported:
+ * - 'unknown': no discount with this code
+ * - 'misconfigured': the discount has neither an `amount` nor a positive `rate`, so it takes nothing off
+ * - 'not-started' / 'expired': before `startAt` / after `endAt` (an unparseable window never starts)
+ * - 'outside-schedule': within `startAt`..`endAt` but not in a `recurrence` period
+ * - 'invalid-schedule': the `timeZone` is unknown or a `recurrence` time is malformed
+ * - 'wrong-extension' / 'wrong-transaction': not valid for the quoted extension or transaction
+ * - 'wrong-currency': an `amount`, `maxDiscountAmount` or minimum with no entry convertible to the quote currency
+ * - 'below-min-base-price' / 'below-min-order-total': `minBasePrice` / `minOrderTotal` not reached
+ * - 'redemption-limit-reached' / 'customer-limit-reached': `maxRedemptions` / `maxRedemptionsPerCustomer` used up
+ * - 'customer-required': `maxRedemptionsPerCustomer` is set but the quote has no `customer.id`
+ * - 'callback-rejected' / 'callback-errored': `isEligible` returned false / threw
+ * - 'not-selected': valid, but another code gave more under the 'max' policy
+ * - 'suppressed-by-group': valid, but another discount from its `stackGroup` won
+ * - 'suppressed-by-exclusive': valid, but an exclusive discount won, or it is exclusive and lost
+ * - 'applied'
+ */
+export type DiscountCodeStatus =
+  | 'applied'
+  | 'not-selected'
+  | 'suppressed-by-group'
+  | 'suppressed-by-exclusive'
+  | 'unknown'
+  | 'misconfigured'
+  | 'not-started'
+  | 'expired'
+  | 'outside-schedule'
+  | 'invalid-schedule'
+  | 'wrong-extension'
+  | 'wrong-transaction'
+  | 'wrong-currency'
+  | 'below-min-base-price'
+  | 'below-min-order-total'
+  | RedemptionRefusal
+  | 'callback-rejected'
+  | 'callback-errored';
+
+export interface DiscountCodeResult {
+  /** Uppercased code. */
+  code: string;
+  status: DiscountCodeStatus;
+  /** What the code takes off (before capping at the price), for 'applied', 'not-selected' and suppressed codes. */
+  amount?: number;
+  /** For suppressed codes, the applied codes that won over this one. */
+  suppressedBy?: string[];
+  /** Set when `maxDiscountAmount` reduced `amount`. */
+  capped?: boolean;
+  /** Set for automatic discounts, whether or not the code was also entered. */
+  automatic?: boolean;
+}
+
+/**
+ * Why a cart discount code did or did not reduce the order, in check order:
+ * - 'not-started' / 'expired' / 'outside-schedule': outside the code's window
+ * - 'invalid-schedule': unknown `timeZone` or malformed `recurrence` time
+ * - 'no-qualifying-lines': no line matches its `extensions` and `transactions`
+ * - 'below-min-items': fewer qualifying lines than `minItems`
+ * - 'callback-rejected' / 'callback-errored': `isEligible` returned false / threw
+ * - 'not-selected': valid, but another cart code gave more under the 'max' policy
+ * - 'applied'
+ */
+export type CartDiscountCodeStatus =
+  | 'applied'
+  | 'not-selected'
+  | 'not-started'
+  | 'expired'
+  | 'outside-schedule'
+  | 'invalid-schedule'
+  | 'no-qualifying-lines'
+  | 'below-min-items'
+  | 'callback-rejected'
+  | 'callback-errored';
+
+export interface CartDiscountCodeResult {
+  /** Uppercased code. */
+  code: string;
+  status: CartDiscountCodeStatus;
+  /** What the code takes off the order, for 'applied' and 'not-selected'. */
+  amount?: number;
 }
 
 export type DiscountPolicy = 'stack' | 'max';
@@ -62,15 +454,135 @@ export interface GetQuoteOptions {
   discountCodes?: string[];
   now?: number | Date;
   discountPolicy?: DiscountPolicy;
+  /** Set false to consider only `discountCodes`, leaving out automatic discounts. Default: true. */
+  automaticDiscounts?: boolean;
+  /**
+   * Total of the order this quote is part of, before discounts, for `minOrderTotal`. Defaults to this
+   * quote's base price. Carts set it to the sum of their lines.
+   */
+  orderTotal?: number;
   transaction?: TransactionType; // default: 'create'
-  /** When true, amounts retain 2 decimal places (cents/kobos). When false (default), amounts are rounded to nearest integer. */
+  /** Registration term in years, 1-10. Default: 1. */
+  years?: number;
+  /**
+   * Overrides the currency's rounding: true rounds to its minor unit (cents/kobos), false to whole units.
+   * When omitted, the currency's `roundingIncrement` applies, or whole units for currencies without metadata.
+   */
+  allowFractionalAmounts?: boolean;
+  /** The buyer, passed to `config.taxResolver` and checked against per-customer discount limits. */
+  customer?: TaxCustomer;
+  /**
+   * Ids from `reserveRedemption` held for this order. They are not counted against the limits, so
+   * re-pricing an order while its redemptions are held keeps its discounts.
+   */
+  heldRedemptions?: string[];
+  /** Overrides `config.taxMode` for this quote. */
+  taxMode?: TaxMode;
+  /** Attach a `QuoteExplanation` to the quote. */
+  explain?: boolean;
+}
+
+/** One item of a `DomainQuotes#getQuotes` batch. */
+export interface QuoteRequest {
+  extension: string;
+  currency: string;
+  options?: GetQuoteOptions;
+}
+
+/** Per-item outcome of a batch: the quote, or the error that item alone failed with. */
+export type BatchQuoteResult =
+  | { ok: true; request: QuoteRequest; quote: Quote }
+  | { ok: false; request: QuoteRequest; error: Error };
+
+/** A cart line as supplied by the caller. Give either an extension or a full domain name. */
+export interface CartLineInput {
+  extension?: string;
+  /** Full domain name; the extension is resolved by longest supported suffix. */
+  domain?: string;
+  transaction?: TransactionType;
+  years?: number;
+  /** Codes that apply to this line only, in addition to the cart's codes. */
+  discountCodes?: string[];
+}
+
+export interface CartLine extends CartLineInput {
+  id: string;
+}
+
+export interface CartQuoteOptions {
+  currency: string;
+  /** Codes entered for the whole order. They are tried as line discounts and as cart discounts. */
+  discountCodes?: string[];
+  /** Applies to line-level and cart-level discounts alike. */
+  discountPolicy?: DiscountPolicy;
+  /** Passed to each line quote. Default: true. */
+  automaticDiscounts?: boolean;
+  now?: number | Date;
   allowFractionalAmounts?: boolean;
+  customer?: TaxCustomer;
+  /** See `GetQuoteOptions.heldRedemptions`. */
+  heldRedemptions?: string[];
+  taxMode?: TaxMode;
+  /** Attach an explanation to each line's quote. */
+  explain?: boolean;
+}
+
+export type CartOptions = CartQuoteOptions;
+
+export interface CartQuoteLine {
+  id: string;
+  /** The line quote before cart-level discounts. */
+  quote: Quote;
+  /** This line's share of the cart-level discount. */
+  cartDiscount: number;
+  /** quote.basePrice - quote.discount - cartDiscount */
+  subtotal: number;
+  tax: number;
+  taxes: TaxLine[];
+  /** Exemption for this line's taxes; these are resolved again on the line's subtotal after cart discounts. */
+  taxExemption?: TaxExemption;
+  totalPrice: number;
+}
+
+export interface CartQuote {
+  currency: string;
+  symbol: string;
+  lines: CartQuoteLine[];
+  /** Sum of the lines' base prices. */
+  basePrice: number;
+  /** Sum of line-level discounts. */
+  lineDiscount: number;
+  /** Sum of cart-level discounts. */
+  cartDiscount: number;
+  /** lineDiscount + cartDiscount */
+  discount: number;
+  /** Order amount before tax (basePrice - discount). */
+  subtotal: number;
+  tax: number;
+  /** The lines' taxes summed per rule. */
+  taxes: TaxLine[];
+  taxMode: TaxMode;
+  totalPrice: number;
+  /** The order totals as integer minor units. */
+  minorUnits: CartQuoteMinorUnits;
+  /** Cart discount codes that were applied. */
+  cartDiscountCodes: string[];
+  /** Every cart discount code passed in `discountCodes`, in order, with whether and why it applied. */
+  cartDiscountStatuses: CartDiscountCodeResult[];
+  datasetVersion?: string;
+}
+
+export interface CartQuoteMinorUnits extends QuoteMinorUnits {
+  lineDiscount: number;
+  cartDiscount: number;
 }
 
 export type PriceEntry = number | Record<string, number>;
 export type PriceTable = Record<string, PriceEntry>;
 
 export interface DomainQuoteConfig {
+  // Identifies the dataset the tables came from. Set by data sources to the snapshot content hash.
+  datasetVersion?: string;
   createPrices: PriceTable;
   // Optional alternative price tables by transaction type (USD/default currency). Falls back to `createPrices` when not provided.
   renewPrices?: PriceTable;
@@ -78,11 +590,321 @@ export interface DomainQuoteConfig {
   transferPrices?: PriceTable;
   // Maps extension -> the provider that owns the winning (cheapest) create price, as surfaced by the unified price CSV.
   createProviders?: Record<string, string>;
+  // The same for the renew, restore and transfer tables. Quotes name the provider of the table that priced them.
+  renewProviders?: Record<string, string>;
+  restoreProviders?: Record<string, string>;
+  transferProviders?: Record<string, string>;
+  // The CSV rows behind each table's prices, used by `explain`.
+  priceRows?: Partial<Record<PriceTableName, PriceRowTable>>;
   exchangeRates: ExchangeRateData[];
-  // Single VAT rate applied across all countries/currencies.
-  vatRate: number;
+  // Single VAT rate applied across all countries/currencies. Ignored when `taxRules` is set.
+  vatRate?: number;
+  // Taxes applied in order. Defaults to one 'vat' rule at `vatRate` (7.5% when unset).
+  taxRules?: TaxRule[];
+  // Decides the rules per quote, e.g. from `options.customer`. Receives the rules that would apply otherwise.
+  taxResolver?: TaxResolver;
+  // 'inclusive' treats prices as already including tax. Default: 'exclusive'.
+  taxMode?: TaxMode;
   discounts: Record<string, DiscountConfig>;
+  // Counts redemptions for `maxRedemptions` limits. Defaults to an in-memory store per `DomainQuotes` instance.
+  redemptionStore?: RedemptionStore;
+  // Discounts evaluated against a whole cart (see `Cart`), keyed by code like `discounts`.
+  cartDiscounts?: Record<string, CartDiscountConfig>;
   markup?: Markup;
+  // Markups by extension, TLD group, transaction and price band. The first match wins over `markup`.
+  markupRules?: MarkupRule[];
+  // Named extension lists for `MarkupRule.tldGroups`, e.g. { africa: ['ng', 'com.ng', 'co.za'] }.
+  tldGroups?: Record<string, string[]>;
   // Uppercase ISO 4217 currency codes allowed. Defaults to ['USD', 'NGN'].
   supportedCurrencies?: string[];
+  // Per-currency symbol and rounding. Currencies without an entry use 2 decimals and round to whole units.
+  currencies?: CurrencyMeta[];
+}
+
+/** The `DomainQuoteConfig` fields a data source fills in from its dataset. */
+export type DomainDataField =
+  | 'datasetVersion'
+  | 'createPrices'
+  | 'renewPrices'
+  | 'restorePrices'
+  | 'transferPrices'
+  | 'createProviders'
+  | 'renewProviders'
+  | 'restoreProviders'
+  | 'transferProviders'
+  | 'priceRows'
+  | 'exchangeRates';
+
+/**
+ * Pricing settings laid over every config `DomainQuotes` reads, e.g. discounts, markup and taxes, so they
+ * survive a data source loading or refreshing its tables.
+ */
+export type DomainQuoteSettings = Partial<Omit<DomainQuoteConfig, DomainDataField>>;
+
+/** What a tax rule is charged on: the discounted subtotal (default) or the price before discounts. */
+export type TaxBasis = 'subtotal' | 'base';
+
+export interface TaxRule {
+  id: string;
+  /** Label for invoices, e.g. 'VAT', 'GST'. */
+  name: string;
+  /** 0.075 = 7.5% */
+  rate: number;
+  /** Where the tax is levied, e.g. 'NG'. Informational; carried onto the tax line. */
+  jurisdiction?: string;
+  /** Only tax these extensions. All when omitted. */
+  extensions?: string[];
+  /** Only tax these transactions (matched against the quote's transaction). All when omitted. */
+  transactions?: TransactionType[];
+  /** Also tax the amounts of the rules listed before this one. */
+  compound?: boolean;
+  basis?: TaxBasis;
+}
+
+export interface TaxLine {
+  id: string;
+  name: string;
+  rate: number;
+  jurisdiction?: string;
+  basis: TaxBasis;
+  compound: boolean;
+  /** The amount the rate was applied to (including earlier taxes for compound rules). */
+  taxableAmount: number;
+  amount: number;
+}
+
+/** 'exclusive' adds tax on top of the price; 'inclusive' treats the price as containing it and backs it out. */
+export type TaxMode = 'exclusive' | 'inclusive';
+
+/** Buyer details for tax decisions and discount limits. All fields are optional and passed through as given. */
+export interface TaxCustomer {
+  /** Stable account id, used for per-customer discount redemption limits. */
+  id?: string;
+  /** ISO 3166-1 alpha-2 country code, e.g. 'NG'. */
+  country?: string;
+  /** Buying as a business rather than a consumer. */
+  isBusiness?: boolean;
+  /** VAT/GST registration number. */
+  taxId?: string;
+}
+
+export interface TaxContext {
+  extension: string;
+  currency: string;
+  transaction: TransactionType;
+  years: number;
+  taxMode: TaxMode;
+  /** Price before discounts, in major units. Includes tax in 'inclusive' mode. */
+  basePrice: number;
+  /** Price after discounts, in major units. Includes tax in 'inclusive' mode. */
+  subtotal: number;
+  /** `options.customer`, or an empty object. */
+  customer: TaxCustomer;
+  /** The configured (or default) rules that match the extension and transaction. */
+  rules: TaxRule[];
+}
+
+/**
+ * - 'reverse-charge': the buyer accounts for the tax (B2B with a tax ID)
+ * - 'out-of-scope': the sale is not taxable here (e.g. buyer abroad)
+ * - 'exempt': any other exemption
+ */
+export type TaxExemptionType = 'reverse-charge' | 'out-of-scope' | 'exempt';
+
+export interface TaxExemption {
+  type: TaxExemptionType;
+  /** Human-readable explanation for invoices and audits. */
+  reason: string;
+}
+
+/** The rules to apply, optionally with the exemption that explains a reduced or zero tax. */
+export interface TaxResolution {
+  rules: TaxRule[];
+  exemption?: TaxExemption;
+}
+
+export type TaxResolver = (ctx: TaxContext) => TaxRule[] | TaxResolution | Promise<TaxRule[] | TaxResolution>;
+
+export interface CurrencyMeta {
+  /** Uppercase ISO 4217 code, e.g. 'JPY'. */
+  code: string;
+  /** Overrides the exchange-rate symbol, e.g. '¥'. */
+  symbol?: string;
+  /** Decimal places of the minor unit: 0 for JPY, 2 for NGN, 3 for KWD. */
+  exponent: number;
+  /** Amounts are rounded to multiples of this many minor units, e.g. 5000 for ₦50. Defaults to 1. */
+  roundingIncrement?: number;
+  /** Storefront-friendly prices: applied to each year's price after markup and conversion, before discounts. */
+  priceEnding?: PriceEndingPolicy;
+}
+
+/**
+ * Moves prices onto a price point or a price ending. Amounts are in major units. Price points are
+ * tried first, then endings; a price with no candidate within `maxDeviation` is left as it is.
+ */
+export interface PriceEndingPolicy {
+  /** Endings that repeat every power of ten above them: 99 gives ₦21,499, 900 gives ₦21,900, 0.99 gives $10.99. */
+  endings?: number[];
+  /** A ladder of allowed prices, e.g. [4999, 9999, 14999, 19999]. */
+  pricePoints?: number[];
+  /** Which way prices may move. Default: 'nearest' (ties go up). */
+  direction?: 'nearest' | 'up' | 'down';
+  /** Largest move allowed, as a fraction of the price, e.g. 0.05 for 5%. Default: no limit. */
+  maxDeviation?: number;
+}
+
+/** Minimal fetch signature used to download pricing data. Any WHATWG-compatible `fetch` satisfies it. */
+export type DomainDataFetch = (url: string) => Promise<Response>;
+
+/** Locations of the unified registrar price lists and the exchange-rate dataset. */
+export interface DomainDataUrls {
+  createPrices: string;
+  renewPrices: string;
+  transferPrices: string;
+  exchangeRates: string;
+}
+
+export interface DomainDataSourceOptions {
+  /** Fetch implementation used for every request. Defaults to the global `fetch`. */
+  fetch?: DomainDataFetch;
+  /** Per-file URL overrides, e.g. a local stand-in server. Unset entries use the public registrar-pricelist files. */
+  urls?: Partial<DomainDataUrls>;
+  /** Which providers' prices the config uses. Defaults to the cheapest price per TLD and currency. */
+  providerSelection?: ProviderSelection;
+}
+
+/**
+ * Chooses among the providers a unified price list offers for each TLD. Exclusions apply first; then
+ * `select`, or else the first of `preferredProviders` that lists the TLD, narrows the offers to one
+ * provider. Each currency takes the lowest price among the offers left.
+ */
+export interface ProviderSelection {
+  /** Providers never used, e.g. registrars that cannot fulfil orders for you. */
+  excludedProviders?: string[];
+  /** Providers tried in order. TLDs none of them list take the cheapest remaining provider. */
+  preferredProviders?: string[];
+  /** Custom choice; overrides `preferredProviders`. */
+  select?: ProviderSelector;
+}
+
+/**
+ * Returns the provider to price `tld` with, from the offers left after exclusions, or undefined to leave
+ * the TLD out of the table.
+ */
+export type ProviderSelector = (
+  offers: PriceOffer[],
+  context: { tld: string; table: PriceTableName }
+) => string | undefined;
+
+export interface DomainDataSource {
+  /** The resolved URLs this source downloads from. */
+  readonly urls: DomainDataUrls;
+  /** Downloads and parses the datasets on first call and resolves to a ready-to-use config. Later calls reuse the result. */
+  load(): Promise<DomainQuoteConfig>;
+  /** Resolves to the same datasets `load()` uses, packaged as a serializable snapshot for offline use. */
+  snapshot(): Promise<DomainDataSnapshot>;
+}
+
+/** One unified price list (create, renew or transfer) as parsed from its CSV. */
+export interface ParsedUnifiedPrices {
+  prices: PriceTable;
+  /** tld -> provider that owns the winning (minimum USD) price row. */
+  providers: Record<string, string>;
+  /** tld -> currency -> the winning row. Absent in snapshots written before rows were recorded. */
+  rows?: PriceRowTable;
+  /** tld -> every provider's rows in file order. Absent in snapshots written before offers were recorded. */
+  offers?: Record<string, PriceOffer[]>;
+}
+
+/** A row of a unified price CSV. */
+export interface PriceRow {
+  provider: string;
+  amount: number;
+  /** 1-based line in the CSV, header included. */
+  line: number;
+}
+
+export type PriceRowTable = Record<string, Record<string, PriceRow>>;
+
+/** A provider's price for a TLD in one currency. */
+export interface PriceOffer extends PriceRow {
+  currency: string;
+}
+
+export interface DomainDataSnapshotData {
+  createPrices: ParsedUnifiedPrices;
+  renewPrices: ParsedUnifiedPrices;
+  transferPrices: ParsedUnifiedPrices;
+  exchangeRates: ExchangeRateData[];
+}
+
+/** Versioned, JSON-serializable bundle of pricing and FX data. Write it with `JSON.stringify` and load it with `loadDomainDataSnapshot`. */
+export interface DomainDataSnapshot {
+  version: 1;
+  /** ISO timestamp of when the datasets were fetched. */
+  fetchedAt: string;
+  /** URLs the datasets were fetched from. */
+  sources: DomainDataUrls;
+  /** `sha256-<hex>` digest of the canonical JSON of `data`. */
+  hash: string;
+  data: DomainDataSnapshotData;
+}
+
+export interface LoadSnapshotOptions {
+  /** Reject snapshots whose `fetchedAt` is older than this many milliseconds. */
+  maxAgeMs?: number;
+  /** Reference time for the age check. Defaults to the current time. */
+  now?: number | Date;
+  /** Re-selects providers from the snapshot's offers; see `DomainDataSourceOptions.providerSelection`. */
+  providerSelection?: ProviderSelection;
+}
+
+export interface RefreshingDataSourceOptions extends DomainDataSourceOptions {
+  /** How long a downloaded dataset counts as fresh, in milliseconds. Defaults to one hour. */
+  ttlMs?: number;
+  /**
+   * How long past the TTL stale data may still be served while a refresh runs in the background.
+   * Beyond it, `load()` waits for the refresh (and still falls back to the stale data if it fails). Defaults to no limit.
+   */
+  staleWhileRevalidateMs?: number;
+  /** Minimum delay before retrying after a failed refresh. Defaults to the smaller of `ttlMs` and 30 seconds. */
+  retryDelayMs?: number;
+  /** Builds the source used for each download. Defaults to `createDomainDataSource` with this object's `fetch` and `urls`. */
+  createSource?: () => DomainDataSource;
+  /** Clock override, mainly for tests. */
+  now?: () => number;
+}
+
+export interface DataRefreshEvent {
+  config: DomainQuoteConfig;
+  version?: string;
+  /** Version that was being served before this refresh, if any. */
+  previousVersion?: string;
+}
+
+export interface DataRefreshErrorEvent {
+  error: Error;
+  /** Version that remains in service, if a dataset was loaded before. */
+  version?: string;
+}
+
+export interface RefreshingDataSourceEvents {
+  refresh: DataRefreshEvent;
+  error: DataRefreshErrorEvent;
+}
+
+export interface RefreshingDataSource extends DomainDataSource {
+  /** Forces a download now. Rejects on failure, leaving the last good dataset in service. */
+  refresh(): Promise<DomainQuoteConfig>;
+  /** The config currently in service, or undefined before the first successful load. */
+  current(): DomainQuoteConfig | undefined;
+  /** Subscribes to refresh outcomes. Returns a function that removes the listener. */
+  on<E extends keyof RefreshingDataSourceEvents>(
+    event: E,
+    listener: (payload: RefreshingDataSourceEvents[E]) => void
+  ): () => void;
+  /** Starts refreshing in the background every `ttlMs`. */
+  start(): void;
+  /** Stops background refreshing started by `start()`. */
+  stop(): void;
 }
@@ -0,0 +1,146 @@
+import type { DiscountRecurrence } from './types';
+
+export type WindowState = 'open' | 'not-started' | 'expired' | 'outside-schedule' | 'invalid-schedule';
+
+/** The scheduling fields shared by discounts and cart discounts. */
+export interface DiscountWindow {
+  startAt: string;
+  endAt: string;
+  timeZone?: string;
+  recurrence?: DiscountRecurrence;
+}
+
+interface LocalTime {
+  year: number;
+  month: number;
+  day: number;
+  weekday: number;
+  minutes: number;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// ISO date-times without a UTC offset, read as wall-clock time in the window's time zone
+const LOCAL_ISO = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const TIME_OF_DAY = /^(\d{2}):(\d{2})$/;
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatterFor(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    // Throws a RangeError for unknown zones
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function partsAt(ms: number, timeZone: string): Record<string, string> {
+  const parts: Record<string, string> = {};
+  for (const part of formatterFor(timeZone).formatToParts(new Date(ms))) parts[part.type] = part.value;
+  return parts;
+}
+
+// Milliseconds the zone's wall clock is ahead of UTC at `ms`
+function zoneOffset(ms: number, timeZone: string): number {
+  const p = partsAt(ms, timeZone);
+  const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+function localTime(ms: number, timeZone: string): LocalTime {
+  const p = partsAt(ms, timeZone);
+  return {
+    year: +p.year,
+    month: +p.month,
+    day: +p.day,
+    weekday: WEEKDAYS.indexOf(p.weekday),
+    minutes: +p.hour * 60 + +p.minute + (+p.second / 60),
+  };
+}
+
+/**
+ * Parses a window bound. With a time zone, ISO date-times without an offset ('2024-11-29T00:00:00')
+ * are wall-clock times in that zone; anything else goes to `Date.parse` unchanged.
+ */
+export function parseInstant(value: string, timeZone?: string): number {
+  const match = timeZone ? LOCAL_ISO.exec(value) : null;
+  if (!timeZone || !match) return Date.parse(value);
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0'] = match;
+  const wall = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, +fraction.padEnd(3, '0'));
+  // The offset at the first guess can be off by a DST change between the guess and the answer
+  const guess = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(guess, timeZone);
+}
+
+function parseTimeOfDay(value: string | undefined, fallback: number): number {
+  if (value === undefined) return fallback;
+  const match = TIME_OF_DAY.exec(value);
+  if (!match || +match[1] > 24 || +match[2] > 59 || (+match[1] === 24 && +match[2] > 0)) return NaN;
+  return +match[1] * 60 + +match[2];
+}
+
+function matchesDay(recurrence: DiscountRecurrence, date: LocalTime): boolean {
+  const { daysOfWeek, daysOfMonth, months } = recurrence;
+  if (months && !months.includes(date.month)) return false;
+  if (daysOfWeek && !daysOfWeek.includes(date.weekday)) return false;
+  if (daysOfMonth) {
+    const daysInMonth = new Date(Date.UTC(date.year, date.month, 0)).getUTCDate();
+    if (!daysOfMonth.includes(date.day) && !daysOfMonth.includes(date.day - daysInMonth - 1)) return false;
+  }
+  return true;
+}
+
+function previousDay(date: LocalTime): LocalTime {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day - 1));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+    minutes: date.minutes,
+  };
+}
+
+/**
+ * Where `nowMs` falls relative to a discount's window: before `startAt`, after `endAt`, between them but
+ * outside the recurring schedule, or open. Bounds that cannot be parsed never start; an unknown time zone
+ * or a malformed time of day is 'invalid-schedule', so a config mistake does not pass for an upcoming code.
+ */
+export function checkWindow(window: DiscountWindow, nowMs: number): WindowState {
+  const { timeZone, recurrence } = window;
+  try {
+    if (timeZone) formatterFor(timeZone);
+  } catch {
+    return 'invalid-schedule';
+  }
+  const from = parseTimeOfDay(recurrence?.startTime, 0);
+  const to = parseTimeOfDay(recurrence?.endTime, 24 * 60);
+  if (Number.isNaN(from) || Number.isNaN(to)) return 'invalid-schedule';
+  const start = parseInstant(window.startAt, timeZone);
+  const end = parseInstant(window.endAt, timeZone);
+  const now = recurrence && localTime(nowMs, timeZone ?? 'UTC');
+  if (Number.isNaN(start) || Number.isNaN(end) || nowMs < start) return 'not-started';
+  if (nowMs > end) return 'expired';
+  if (!recurrence || !now) return 'open';
+
+  let open: boolean;
+  if (from < to) {
+    open = now.minutes >= from && now.minutes < to && matchesDay(recurrence, now);
+  } else {
+    // Runs past midnight: the days name the evening it starts on
+    open = (now.minutes >= from && matchesDay(recurrence, now))
+      || (now.minutes < to && matchesDay(recurrence, previousDay(now)));
+  }
+  return open ? 'open' : 'outside-schedule';
+}
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function createDq() {
+  return new DomainQuotes({
+    createPrices: { com: 10, org: 20 },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {
+      COMWEEK: { rate: 0.15, extensions: ['com'], transactions: ['create'], automatic: true, ...window },
+      LASTYEAR: {
+        rate: 0.5,
+        extensions: ['com', 'org'],
+        automatic: true,
+        startAt: '2023-01-01T00:00:00Z',
+        endAt: '2023-12-31T23:59:59Z',
+      },
+      SAVE10: { rate: 0.1, extensions: ['com', 'org'], ...window },
+      SAVE20: { rate: 0.2, extensions: ['com'], ...window },
+    },
+  });
+}
+
+test('automatic discounts apply without a code and are marked', async () => {
+  const quote = await createDq().getQuote('com', 'USD', { now: NOW, allowFractionalAmounts: true });
+  assert.equal(quote.discount, 1.5);
+  assert.deepEqual(quote.discountStatuses, [{ code: 'COMWEEK', status: 'applied', amount: 1.5, automatic: true }]);
+});
+
+test('automatic discounts that do not match are left out', async () => {
+  const dq = createDq();
+  const org = await dq.getQuote('org', 'USD', { now: NOW });
+  assert.equal(org.discount, 0);
+  assert.deepEqual(org.discountStatuses, []);
+  const renew = await dq.getQuote('com', 'USD', { now: NOW, transaction: 'renew' });
+  assert.deepEqual(renew.discountStatuses, []);
+});
+
+test('entered codes compete with automatic discounts under the discount policy', async () => {
+  const dq = createDq();
+  const options = { now: NOW, allowFractionalAmounts: true };
+
+  const max = await dq.getQuote('com', 'USD', { ...options, discountCodes: ['SAVE10'] });
+  assert.equal(max.discount, 1.5);
+  assert.deepEqual(max.discountStatuses.map((s) => [s.code, s.status, s.automatic]), [
+    ['SAVE10', 'not-selected', undefined],
+    ['COMWEEK', 'applied', true],
+  ]);
+
+  const better = await dq.getQuote('com', 'USD', { ...options, discountCodes: ['SAVE20'] });
+  assert.equal(better.discount, 2);
+  assert.equal(better.discountStatuses[1].status, 'not-selected');
+
+  const stack = await dq.getQuote('com', 'USD', { ...options, discountCodes: ['SAVE10'], discountPolicy: 'stack' });
+  assert.equal(stack.discount, 2.5);
+});
+
+test('entering an automatic code does not count it twice', async () => {
+  const quote = await createDq().getQuote('com', 'USD', {
+    now: NOW,
+    discountCodes: ['comweek'],
+    discountPolicy: 'stack',
+    allowFractionalAmounts: true,
+  });
+  assert.equal(quote.discount, 1.5);
+  assert.deepEqual(quote.discountStatuses, [{ code: 'COMWEEK', status: 'applied', amount: 1.5, automatic: true }]);
+});
+
+test('automaticDiscounts: false quotes the entered codes only', async () => {
+  const dq = createDq();
+  const quote = await dq.getQuote('com', 'USD', { now: NOW, automaticDiscounts: false });
+  assert.equal(quote.discount, 0);
+  assert.deepEqual(quote.discountStatuses, []);
+
+  // Validation judges a code on its own, even next to a bigger sale
+  const result = await dq.validateDiscountCode('SAVE10', 'com', 'USD', { now: NOW });
+  assert.equal(result.status, 'applied');
+});
+
+test('cart lines pick up automatic discounts', async () => {
+  const cart = await createDq().quoteCart(
+    [{ id: 'a', extension: 'com' }, { id: 'b', extension: 'org' }],
+    { currency: 'USD', now: NOW, allowFractionalAmounts: true }
+  );
+  assert.equal(cart.lineDiscount, 1.5);
+  assert.equal(cart.lines[0].quote.discountStatuses[0].automatic, true);
+});
@@ -1,5 +1,5 @@
 import assert from 'node:assert/strict';
-import test from 'node:test';
+import test, { before } from 'node:test';
 
 import {
   DEFAULT_CONFIG,
@@ -9,10 +9,16 @@ import {
   isSupportedExtension,
   listSupportedCurrencies,
   listSupportedExtensions,
+  loadDefaultConfig,
   UnsupportedCurrencyError,
   UnsupportedExtensionError,
 } from '../dist/index.js';
 
+// DEFAULT_CONFIG is populated lazily; fetch the remote datasets once for this file.
+before(async () => {
+  await loadDefaultConfig();
+});
+
 test('supported currency list defaults to [USD, NGN]', () => {
   const list = listSupportedCurrencies();
   assert.ok(Array.isArray(list));
@@ -57,8 +63,8 @@ test('getDefaultQuote computes USD price with default 7.5% VAT', async () => {
   assert.equal(quote.currency, 'USD');
   assert.equal(typeof quote.basePrice, 'number');
   assert.equal(typeof quote.totalPrice, 'number');
-  // Default VAT applied is 7.5%
-  const expectedTax = Number(((quote.basePrice - quote.discount) * 0.075).toFixed(2));
+  // Default VAT applied is 7.5%, rounded half up to the cent
+  const expectedTax = Math.round(Number((quote.minorUnits.subtotal * 0.075).toPrecision(15))) / 100;
   assert.equal(quote.tax, expectedTax);
   assert.equal(quote.totalPrice, Number((quote.basePrice - quote.discount + quote.tax).toFixed(2)));
 });
@@ -66,7 +72,7 @@ test('getDefaultQuote computes USD price with default 7.5% VAT', async () => {
 test('getDefaultQuote applies tax by currency for NGN by default', async () => {
   // NGN -> NG -> 7.5%
   const ng = await getDefaultQuote('com', 'NGN', { allowFractionalAmounts: true });
-  const expectedNgTax = Number(((ng.basePrice - ng.discount) * 0.075).toFixed(2));
+  const expectedNgTax = Math.round(Number((ng.minorUnits.subtotal * 0.075).toPrecision(15))) / 100;
   assert.equal(ng.tax, expectedNgTax);
 });
 
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, UnsupportedCurrencyError, UnsupportedExtensionError } from '../dist/index.js';
+
+function createTestConfig(overrides = {}) {
+  return {
+    createPrices: { com: 10, net: 12, org: 15, info: 8 },
+    exchangeRates: [
+      {
+        countryCode: 'NG',
+        currencyName: 'Nigerian Naira',
+        currencySymbol: '₦',
+        currencyCode: 'NGN',
+        exchangeRate: 1000,
+        inverseRate: 0.001,
+      },
+    ],
+    vatRate: 0.1,
+    discounts: {},
+    supportedCurrencies: ['USD', 'NGN'],
+    ...overrides,
+  };
+}
+
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+const WINDOW = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+
+test('getQuotes returns results in request order matching getQuote', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const requests = [
+    { extension: 'com', currency: 'USD' },
+    { extension: '.net', currency: 'ngn' },
+    { extension: 'org', currency: 'USD', options: { transaction: 'renew', years: 2 } },
+  ];
+  const results = await dq.getQuotes(requests);
+  assert.equal(results.length, 3);
+  for (const [i, result] of results.entries()) {
+    assert.equal(result.ok, true);
+    assert.equal(result.request, requests[i]);
+    const single = await dq.getQuote(requests[i].extension, requests[i].currency, requests[i].options);
+    assert.deepEqual(result.quote, single);
+  }
+});
+
+test('getQuotes reports per-item errors without rejecting the batch', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const results = await dq.getQuotes([
+    { extension: 'com', currency: 'USD' },
+    { extension: 'unknown-tld', currency: 'USD' },
+    { extension: 'net', currency: 'JPY' },
+    { extension: 'info', currency: 'USD', options: { years: 20 } },
+  ]);
+  assert.equal(results[0].ok, true);
+  assert.equal(results[1].ok, false);
+  assert.ok(results[1].error instanceof UnsupportedExtensionError);
+  assert.equal(results[2].ok, false);
+  assert.ok(results[2].error instanceof UnsupportedCurrencyError);
+  assert.equal(results[3].ok, false);
+  assert.equal(results[3].error.code, 'ERR_INVALID_OPTION');
+});
+
+test('getQuotes with an empty batch resolves to an empty list', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  assert.deepEqual(await dq.getQuotes([]), []);
+});
+
+test('getQuotes evaluates identical eligibility contexts once per batch', async () => {
+  const calls = [];
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: {
+      VIP: {
+        rate: 0.1,
+        extensions: ['com', 'net'],
+        ...WINDOW,
+        isEligible: async (ctx) => {
+          calls.push(ctx.extension);
+          return true;
+        },
+      },
+    },
+  }));
+  const options = { discountCodes: ['VIP'], now: NOW };
+  const results = await dq.getQuotes([
+    { extension: 'com', currency: 'USD', options },
+    { extension: 'com', currency: 'USD', options },
+    { extension: 'net', currency: 'USD', options },
+    { extension: 'org', currency: 'USD', options },
+  ]);
+  assert.deepEqual(results.map((r) => r.quote.discount), [1, 1, 1, 0]);
+  // com is evaluated once, net once, org never (extension filter fails first)
+  assert.deepEqual(calls.sort(), ['com', 'net']);
+
+  // A new batch evaluates again
+  await dq.getQuotes([{ extension: 'com', currency: 'USD', options }]);
+  assert.equal(calls.length, 3);
+});
+
+test('getQuotes runs async eligibility callbacks concurrently', async () => {
+  let active = 0;
+  let peak = 0;
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: {
+      SLOW: {
+        rate: 0.1,
+        extensions: ['com', 'net', 'org', 'info'],
+        ...WINDOW,
+        isEligible: async () => {
+          active++;
+          peak = Math.max(peak, active);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          active--;
+          return true;
+        },
+      },
+    },
+  }));
+  const options = { discountCodes: ['SLOW'], now: NOW };
+  const results = await dq.getQuotes(['com', 'net', 'org', 'info'].map((extension) => ({ extension, currency: 'USD', options })));
+  assert.ok(results.every((r) => r.ok && r.quote.discount > 0));
+  assert.equal(peak, 4);
+});
+
+test('getQuotes treats a throwing eligibility callback as ineligible', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: {
+      BROKEN: {
+        rate: 0.5,
+        extensions: ['com'],
+        ...WINDOW,
+        isEligible: () => {
+          throw new Error('service down');
+        },
+      },
+    },
+  }));
+  const [result] = await dq.getQuotes([{ extension: 'com', currency: 'USD', options: { discountCodes: ['BROKEN'], now: NOW } }]);
+  assert.equal(result.ok, true);
+  assert.equal(result.quote.discount, 0);
+});
@@ -0,0 +1,272 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { Cart, CartLineNotFoundError, DomainQuotes, UnsupportedExtensionError } from '../dist/index.js';
+
+function createTestConfig(overrides = {}) {
+  return {
+    createPrices: { com: 10, net: 12, org: 15, 'com.ng': 5 },
+    renewPrices: { com: 14 },
+    transferPrices: { com: 8 },
+    exchangeRates: [
+      {
+        countryCode: 'NG',
+        currencyName: 'Nigerian Naira',
+        currencySymbol: '₦',
+        currencyCode: 'NGN',
+        exchangeRate: 1000,
+        inverseRate: 0.001,
+      },
+    ],
+    vatRate: 0.1,
+    discounts: {},
+    cartDiscounts: {},
+    supportedCurrencies: ['USD', 'NGN'],
+    ...overrides,
+  };
+}
+
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+const WINDOW = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+
+test('cart totals mixed transactions line by line', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const cart = dq.createCart({ currency: 'USD' });
+  assert.ok(cart instanceof Cart);
+  cart.add({ extension: 'com' });
+  cart.add({ extension: 'com', transaction: 'renew' });
+  cart.add({ extension: 'com', transaction: 'transfer' });
+
+  const quote = await cart.quote();
+  assert.deepEqual(quote.lines.map((l) => l.quote.basePrice), [10, 14, 8]);
+  assert.deepEqual(quote.lines.map((l) => l.id), ['line-1', 'line-2', 'line-3']);
+  assert.equal(quote.basePrice, 32);
+  assert.equal(quote.discount, 0);
+  assert.equal(quote.subtotal, 32);
+  // 1 + 1 (1.4 rounded) + 1 (0.8 rounded)
+  assert.equal(quote.tax, 3);
+  assert.equal(quote.totalPrice, 35);
+  assert.equal(quote.currency, 'USD');
+  assert.equal(quote.symbol, '$');
+});
+
+test('cart lines can be updated and removed', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const cart = new Cart(dq, { currency: 'USD' });
+  const a = cart.add({ extension: 'com' });
+  const b = cart.add({ extension: 'net', id: 'my-net' });
+  assert.equal(b.id, 'my-net');
+
+  cart.update(a.id, { years: 2 });
+  assert.equal(cart.remove('my-net'), true);
+  assert.equal(cart.remove('my-net'), false);
+  assert.deepEqual(cart.lines, [{ id: a.id, extension: 'com', years: 2 }]);
+
+  const quote = await cart.quote();
+  assert.equal(quote.lines.length, 1);
+  assert.equal(quote.basePrice, 24);
+
+  assert.throws(() => cart.update('missing', { years: 1 }), (err) => err instanceof CartLineNotFoundError
+    && err.code === 'ERR_CART_LINE_NOT_FOUND');
+  assert.throws(() => cart.add({ extension: 'org', id: a.id }), /already exists/);
+  assert.throws(() => cart.add({}), /needs an extension or a domain/);
+
+  cart.clear();
+  const empty = await cart.quote();
+  assert.equal(empty.totalPrice, 0);
+  assert.deepEqual(empty.lines, []);
+});
+
+test('cart lines accept full domain names', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const cart = dq.createCart({ currency: 'USD' });
+  cart.add({ domain: 'shop.example.com.ng' });
+  const quote = await cart.quote();
+  assert.equal(quote.lines[0].quote.extension, 'com.ng');
+  assert.equal(quote.basePrice, 5);
+});
+
+test('cart discounts require a minimum number of qualifying lines', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    cartDiscounts: { BUNDLE3: { rate: 0.1, minItems: 3, ...WINDOW } },
+  }));
+  const cart = dq.createCart({ currency: 'USD', discountCodes: ['bundle3'], now: NOW });
+  cart.add({ extension: 'com' });
+  cart.add({ extension: 'net' });
+
+  const two = await cart.quote();
+  assert.equal(two.cartDiscount, 0);
+  assert.deepEqual(two.cartDiscountCodes, []);
+
+  cart.add({ extension: 'org' });
+  const three = await cart.quote();
+  // 10% of 10, 12, 15 -> 1, 1 (1.2), 2 (1.5)
+  assert.deepEqual(three.lines.map((l) => l.cartDiscount), [1, 1, 2]);
+  assert.equal(three.cartDiscount, 4);
+  assert.equal(three.discount, 4);
+  assert.equal(three.subtotal, 33);
+  assert.deepEqual(three.lines.map((l) => l.tax), [1, 1, 1]);
+  assert.equal(three.totalPrice, 36);
+  assert.deepEqual(three.cartDiscountCodes, ['BUNDLE3']);
+});
+
+test('cart discounts only count and reduce lines matching their filters', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    cartDiscounts: {
+      COMS: { rate: 0.5, minItems: 2, extensions: ['.com'], transactions: ['create'], ...WINDOW },
+    },
+  }));
+  const cart = dq.createCart({ currency: 'USD', discountCodes: ['COMS'], now: NOW });
+  cart.add({ extension: 'com' });
+  cart.add({ extension: 'com', transaction: 'renew' });
+  cart.add({ extension: 'net' });
+  assert.equal((await cart.quote()).cartDiscount, 0, 'only one qualifying line');
+
+  cart.add({ extension: 'com' });
+  const quote = await cart.quote();
+  assert.deepEqual(quote.lines.map((l) => l.cartDiscount), [5, 0, 0, 5]);
+});
+
+test('cart discounts apply after line discounts and respect the window', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: { COM20: { rate: 0.2, extensions: ['com'], ...WINDOW } },
+    cartDiscounts: { ORDER50: { rate: 0.5, ...WINDOW } },
+  }));
+  const cart = dq.createCart({ currency: 'USD', discountCodes: ['COM20', 'ORDER50'], now: NOW });
+  cart.add({ extension: 'com' });
+  const quote = await cart.quote();
+  assert.equal(quote.lineDiscount, 2);
+  assert.equal(quote.cartDiscount, 4); // 50% of 8
+  assert.equal(quote.subtotal, 4);
+
+  const expired = dq.createCart({ currency: 'USD', discountCodes: ['ORDER50'], now: Date.parse('2025-06-01T00:00:00Z') });
+  expired.add({ extension: 'com' });
+  assert.equal((await expired.quote()).cartDiscount, 0);
+});
+
+test('line-specific codes only apply to their line', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: { HALF: { rate: 0.5, extensions: ['com', 'net'], ...WINDOW } },
+  }));
+  const cart = dq.createCart({ currency: 'USD', now: NOW });
+  cart.add({ extension: 'com', discountCodes: ['HALF'] });
+  cart.add({ extension: 'net' });
+  const quote = await cart.quote();
+  assert.deepEqual(quote.lines.map((l) => l.quote.discount), [5, 0]);
+});
+
+test('cart codes can be applied and removed', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    cartDiscounts: { ORDER10: { rate: 0.1, ...WINDOW } },
+  }));
+  const cart = dq.createCart({ currency: 'USD', now: NOW });
+  cart.add({ extension: 'org' });
+  cart.applyDiscountCode('order10');
+  cart.applyDiscountCode('ORDER10');
+  assert.deepEqual(cart.discountCodes, ['order10']);
+  assert.equal((await cart.quote()).cartDiscount, 2);
+  assert.equal(cart.removeDiscountCode('Order10'), true);
+  assert.equal((await cart.quote()).cartDiscount, 0);
+});
+
+test('max policy keeps the best cart discount; stack combines them', async () => {
+  const config = createTestConfig({
+    cartDiscounts: {
+      SMALL: { rate: 0.1, ...WINDOW },
+      BIG: { rate: 0.3, ...WINDOW },
+    },
+  });
+  const dq = new DomainQuotes(config);
+  const max = dq.createCart({ currency: 'USD', discountCodes: ['SMALL', 'BIG'], now: NOW });
+  max.add({ extension: 'com' });
+  const maxQuote = await max.quote();
+  assert.equal(maxQuote.cartDiscount, 3);
+  assert.deepEqual(maxQuote.cartDiscountCodes, ['BIG']);
+
+  const stack = dq.createCart({ currency: 'USD', discountCodes: ['SMALL', 'BIG'], discountPolicy: 'stack', now: NOW });
+  stack.add({ extension: 'com' });
+  const stackQuote = await stack.quote();
+  assert.equal(stackQuote.cartDiscount, 4);
+  assert.deepEqual(stackQuote.cartDiscountCodes, ['SMALL', 'BIG']);
+});
+
+test('cart discount callbacks see the whole basket', async () => {
+  let seen;
+  const dq = new DomainQuotes(createTestConfig({
+    cartDiscounts: {
+      SPEND30: {
+        rate: 0.1,
+        ...WINDOW,
+        isEligible: (ctx) => {
+          seen = ctx;
+          return ctx.subtotal >= 30;
+        },
+      },
+      BROKEN: {
+        rate: 0.9,
+        ...WINDOW,
+        isEligible: () => {
+          throw new Error('boom');
+        },
+      },
+    },
+  }));
+  const cart = dq.createCart({ currency: 'USD', discountCodes: ['SPEND30', 'BROKEN'], now: NOW });
+  cart.add({ extension: 'com' });
+  cart.add({ extension: 'net' });
+  assert.equal((await cart.quote()).cartDiscount, 0);
+  assert.deepEqual(seen, { currency: 'USD', itemCount: 2, subtotal: 22, discountCode: 'SPEND30' });
+
+  cart.add({ extension: 'org' });
+  assert.equal((await cart.quote()).cartDiscount, 4);
+});
+
+test('every cart code gets a status and cart-only codes stay off the lines', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: { LINE5: { rate: 0.05, extensions: ['com'], ...WINDOW } },
+    cartDiscounts: {
+      SMALL: { rate: 0.1, ...WINDOW },
+      BIG: { rate: 0.3, ...WINDOW },
+      OLD: { rate: 0.5, startAt: '2023-01-01T00:00:00Z', endAt: '2023-12-31T23:59:59Z' },
+      ORGS: { rate: 0.5, extensions: ['org'], ...WINDOW },
+      PAIRS: { rate: 0.5, minItems: 2, ...WINDOW },
+      NOPE: { rate: 0.5, ...WINDOW, isEligible: () => false },
+    },
+  }));
+  const codes = ['SMALL', 'BIG', 'OLD', 'ORGS', 'PAIRS', 'NOPE', 'LINE5', 'TYPO'];
+  const cart = dq.createCart({ currency: 'USD', discountCodes: codes, now: NOW });
+  cart.add({ extension: 'com' });
+  const quote = await cart.quote();
+  assert.deepEqual(quote.cartDiscountStatuses, [
+    { code: 'SMALL', status: 'not-selected', amount: 1 },
+    { code: 'BIG', status: 'applied', amount: 3 },
+    { code: 'OLD', status: 'expired' },
+    { code: 'ORGS', status: 'no-qualifying-lines' },
+    { code: 'PAIRS', status: 'below-min-items' },
+    { code: 'NOPE', status: 'callback-rejected' },
+  ]);
+  // Line codes and codes nobody knows are still reported on the lines
+  assert.deepEqual(quote.lines[0].quote.discountStatuses.map((s) => [s.code, s.status]), [
+    ['LINE5', 'applied'],
+    ['TYPO', 'unknown'],
+  ]);
+});
+
+test('cart quote rejects when a line cannot be priced', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const cart = dq.createCart({ currency: 'USD' });
+  cart.add({ extension: 'com' });
+  cart.add({ extension: 'nope' });
+  await assert.rejects(() => cart.quote(), UnsupportedExtensionError);
+});
+
+test('cart quotes in other currencies', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const cart = dq.createCart({ currency: 'NGN' });
+  cart.add({ extension: 'com' });
+  const quote = await cart.quote();
+  assert.equal(quote.currency, 'NGN');
+  assert.equal(quote.symbol, '₦');
+  assert.equal(quote.basePrice, 10000);
+  await assert.rejects(() => dq.createCart({ currency: 'JPY' }).quote(), /Unsupported currency/);
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+function rate(currencyCode, currencySymbol, exchangeRate) {
+  return {
+    countryCode: '',
+    currencyName: currencyCode,
+    currencySymbol,
+    currencyCode,
+    exchangeRate,
+    inverseRate: 1 / exchangeRate,
+  };
+}
+
+const config = {
+  createPrices: { com: { USD: 10.33 } },
+  exchangeRates: [rate('NGN', '₦', 1533), rate('JPY', '¥', 151.37), rate('KWD', 'KD', 0.30712)],
+  vatRate: 0.075,
+  discounts: {},
+  supportedCurrencies: ['USD', 'NGN', 'JPY', 'KWD'],
+  currencies: [
+    { code: 'USD', exponent: 2 },
+    { code: 'NGN', exponent: 2, roundingIncrement: 5000 },
+    { code: 'JPY', exponent: 0 },
+    { code: 'KWD', symbol: 'د.ك', exponent: 3 },
+  ],
+};
+
+test('JPY has no minor unit', async () => {
+  const quote = await new DomainQuotes(config).getQuote('com', 'JPY');
+  // 10.33 * 151.37 = 1563.65 -> ¥1564; tax 117.3 -> ¥117
+  assert.equal(quote.basePrice, 1564);
+  assert.equal(quote.tax, 117);
+  assert.equal(quote.totalPrice, 1681);
+  assert.equal(quote.minorUnits.exponent, 0);
+  assert.equal(quote.minorUnits.totalPrice, 1681);
+});
+
+test('KWD keeps three decimals', async () => {
+  const quote = await new DomainQuotes(config).getQuote('com', 'KWD');
+  // 10.33 * 0.30712 = 3.1725496 -> 3.173; tax 0.2379750 -> 0.238
+  assert.equal(quote.basePrice, 3.173);
+  assert.equal(quote.tax, 0.238);
+  assert.equal(quote.totalPrice, 3.411);
+  assert.equal(quote.symbol, 'د.ك');
+  assert.deepEqual(
+    [quote.minorUnits.exponent, quote.minorUnits.subtotal, quote.minorUnits.tax, quote.minorUnits.totalPrice],
+    [3, 3173, 238, 3411]
+  );
+});
+
+test('NGN rounds every step to the nearest ₦50', async () => {
+  const quote = await new DomainQuotes(config).getQuote('com', 'NGN');
+  // 10.33 * 1533 = 15835.89 -> 15850; tax 1188.75 -> 1200
+  assert.equal(quote.basePrice, 15850);
+  assert.equal(quote.tax, 1200);
+  assert.equal(quote.totalPrice, 17050);
+  assert.equal(quote.symbol, '₦');
+});
+
+test('USD metadata without an increment rounds to the cent', async () => {
+  const quote = await new DomainQuotes(config).getQuote('com', 'USD');
+  assert.equal(quote.basePrice, 10.33);
+  assert.equal(quote.tax, 0.77);
+});
+
+test('allowFractionalAmounts overrides the currency rounding', async () => {
+  const dq = new DomainQuotes(config);
+  const fractional = await dq.getQuote('com', 'NGN', { allowFractionalAmounts: true });
+  assert.equal(fractional.basePrice, 15835.89);
+  const whole = await dq.getQuote('com', 'KWD', { allowFractionalAmounts: false });
+  assert.equal(whole.basePrice, 3);
+  assert.equal(whole.minorUnits.basePrice, 3000);
+});
+
+test('currencies without metadata keep whole-unit rounding', async () => {
+  const { currencies, ...legacy } = config;
+  assert.ok(currencies);
+  const quote = await new DomainQuotes(legacy).getQuote('com', 'USD');
+  assert.equal(quote.basePrice, 10);
+  assert.equal(quote.symbol, '$');
+});
+
+test('cart quotes round with the currency metadata', async () => {
+  const cart = await new DomainQuotes(config).quoteCart(
+    [{ extension: 'com', id: 'a' }, { extension: 'com', id: 'b' }],
+    { currency: 'NGN' }
+  );
+  assert.equal(cart.symbol, '₦');
+  assert.equal(cart.basePrice, 31700);
+  assert.equal(cart.totalPrice, 34100);
+  assert.equal(cart.minorUnits.totalPrice % 5000, 0);
+});
@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import test, { after, before } from 'node:test';
+
+import {
+  DEFAULT_CONFIG,
+  DEFAULT_DATA_URLS,
+  DomainQuotes,
+  createDomainDataSource,
+  getDefaultQuote,
+  listSupportedExtensions,
+  loadDefaultConfig,
+} from '../dist/index.js';
+
+const CREATE_CSV = [
+  'tld,provider,currency,amount',
+  'com,namecheap,USD,9.5',
+  'com,openprovider,USD,8',
+  'com,nira,NGN,14000',
+  'ng,nira,USD,5',
+].join('\n');
+const RENEW_CSV = ['tld,provider,currency,amount', 'com,openprovider,USD,12'].join('\n');
+const TRANSFER_CSV = ['tld,provider,currency,amount', 'com,openprovider,USD,7'].join('\n');
+const RATES = [
+  {
+    countryCode: 'NG',
+    currencyName: 'Nigerian Naira',
+    currencySymbol: '₦',
+    currencyCode: 'NGN',
+    exchangeRate: 1500,
+    inverseRate: 1 / 1500,
+  },
+];
+
+const FILES = {
+  '/create.csv': CREATE_CSV,
+  '/renew.csv': RENEW_CSV,
+  '/transfer.csv': TRANSFER_CSV,
+  '/rates.json': JSON.stringify(RATES),
+};
+
+// Local stand-in for raw.githubusercontent.com
+let server;
+let baseUrl;
+let requestCount = 0;
+
+before(async () => {
+  server = createServer((req, res) => {
+    requestCount++;
+    const body = FILES[req.url];
+    if (body === undefined) {
+      res.writeHead(404, 'Not Found');
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': req.url.endsWith('.json') ? 'application/json' : 'text/csv' });
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function localUrls() {
+  return {
+    createPrices: `${baseUrl}/create.csv`,
+    renewPrices: `${baseUrl}/renew.csv`,
+    transferPrices: `${baseUrl}/transfer.csv`,
+    exchangeRates: `${baseUrl}/rates.json`,
+  };
+}
+
+test('importing the module does not populate DEFAULT_CONFIG', () => {
+  assert.deepEqual(DEFAULT_CONFIG.createPrices, {});
+  assert.deepEqual(DEFAULT_CONFIG.exchangeRates, []);
+  assert.deepEqual(listSupportedExtensions(), []);
+});
+
+test('createDomainDataSource defaults to the public registrar-pricelist URLs', () => {
+  const source = createDomainDataSource();
+  assert.deepEqual(source.urls, DEFAULT_DATA_URLS);
+});
+
+test('createDomainDataSource merges partial URL overrides', () => {
+  const source = createDomainDataSource({ urls: { exchangeRates: 'http://localhost/rates.json' } });
+  assert.equal(source.urls.exchangeRates, 'http://localhost/rates.json');
+  assert.equal(source.urls.createPrices, DEFAULT_DATA_URLS.createPrices);
+});
+
+test('load() builds a config from a local stand-in server', async () => {
+  const source = createDomainDataSource({ urls: localUrls() });
+  const config = await source.load();
+
+  assert.deepEqual(config.createPrices.com, { USD: 8, NGN: 14000 });
+  assert.deepEqual(config.renewPrices, { com: { USD: 12 } });
+  assert.deepEqual(config.transferPrices, { com: { USD: 7 } });
+  assert.equal(config.createProviders.com, 'openprovider');
+  assert.equal(config.exchangeRates[0].currencyCode, 'NGN');
+
+  const quote = await new DomainQuotes(config).getQuote('com', 'NGN');
+  assert.equal(quote.basePrice, 14000);
+});
+
+test('load() fetches once and reuses the result', async () => {
+  const source = createDomainDataSource({ urls: localUrls() });
+  const before = requestCount;
+  const first = await source.load();
+  const second = await source.load();
+  assert.equal(first, second);
+  assert.equal(requestCount - before, 4);
+});
+
+test('load() uses the injected fetch implementation', async () => {
+  const requested = [];
+  const fakeFetch = async (url) => {
+    requested.push(url);
+    const path = new URL(url).pathname;
+    return new Response(FILES[path], { status: 200 });
+  };
+  const source = createDomainDataSource({ fetch: fakeFetch, urls: localUrls() });
+  const config = await source.load();
+  assert.equal(requested.length, 4);
+  assert.ok(config.createPrices.ng);
+});
+
+test('load() rejects with a descriptive error and can be retried', async () => {
+  let fail = true;
+  const flakyFetch = async (url) => {
+    if (fail) return new Response('', { status: 404, statusText: 'Not Found' });
+    return fetch(url);
+  };
+  const source = createDomainDataSource({ fetch: flakyFetch, urls: localUrls() });
+  await assert.rejects(() => source.load(), /failed to load remote pricing data: Failed to fetch .* 404 Not Found/);
+
+  fail = false;
+  const config = await source.load();
+  assert.ok(config.createPrices.com);
+});
+
+test('load() reports network failures without throwing at import', async () => {
+  const source = createDomainDataSource({
+    fetch: async () => {
+      throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+    },
+  });
+  await assert.rejects(() => source.load(), /connection refused by the remote host \[ECONNREFUSED\]/);
+});
+
+test('loadDefaultConfig populates DEFAULT_CONFIG from a custom source', async () => {
+  const loaded = await loadDefaultConfig(createDomainDataSource({ urls: localUrls() }));
+  assert.equal(loaded, DEFAULT_CONFIG);
+  assert.deepEqual(listSupportedExtensions(), ['com', 'ng']);
+
+  // getDefaultQuote reuses the loaded defaults instead of fetching the public URLs
+  const quote = await getDefaultQuote('com', 'USD');
+  assert.equal(quote.basePrice, 8);
+  assert.equal(quote.provider, 'openprovider');
+});
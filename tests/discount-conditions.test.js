@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, InvalidQuoteOptionError } from '../dist/index.js';
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function createDq() {
+  return new DomainQuotes({
+    createPrices: { com: 10, ai: 200 },
+    renewPrices: { ai: 150 },
+    exchangeRates: [
+      {
+        countryCode: 'NG',
+        currencyName: 'Nigerian Naira',
+        currencySymbol: '₦',
+        currencyCode: 'NGN',
+        exchangeRate: 1500,
+        inverseRate: 1 / 1500,
+      },
+    ],
+    vatRate: 0,
+    discounts: {
+      HALF: { rate: 0.5, extensions: ['com', 'ai'], maxDiscountAmount: { USD: 25, NGN: 30000 }, ...window },
+      USDCAP: { rate: 0.5, extensions: ['ai'], maxDiscountAmount: { USD: 25 }, ...window },
+      EURCAP: { rate: 0.5, extensions: ['ai'], maxDiscountAmount: { EUR: 25 }, ...window },
+      PREMIUM: { rate: 0.1, extensions: ['com', 'ai'], minBasePrice: { USD: 100 }, ...window },
+      BIGORDER: { rate: 0.2, extensions: ['com', 'ai'], minOrderTotal: { USD: 50, NGN: 60000 }, ...window },
+    },
+    supportedCurrencies: ['USD', 'NGN'],
+  });
+}
+
+const quote = (extension, currency, codes, options = {}) => (
+  createDq().getQuote(extension, currency, { discountCodes: codes, now: NOW, ...options })
+);
+
+test('maxDiscountAmount caps the discount per currency', async () => {
+  const com = await quote('com', 'USD', ['HALF']);
+  assert.equal(com.discount, 5);
+  assert.deepEqual(com.discountStatuses, [{ code: 'HALF', status: 'applied', amount: 5 }]);
+
+  const ai = await quote('ai', 'USD', ['HALF']);
+  assert.equal(ai.discount, 25);
+  assert.deepEqual(ai.discountStatuses, [{ code: 'HALF', status: 'applied', amount: 25, capped: true }]);
+
+  // The NGN cap is its own figure, not the USD one converted
+  const ngn = await quote('ai', 'NGN', ['HALF']);
+  assert.equal(ngn.discount, 30000);
+  const converted = await quote('ai', 'NGN', ['USDCAP']);
+  assert.equal(converted.discount, 37500);
+});
+
+test('a cap with no entry for the quote currency refuses the code', async () => {
+  const q = await quote('ai', 'USD', ['EURCAP']);
+  assert.equal(q.discount, 0);
+  assert.equal(q.discountStatuses[0].status, 'wrong-currency');
+});
+
+test('the cap covers the whole term and is spread over the years', async () => {
+  const q = await quote('ai', 'USD', ['HALF'], { years: 3 });
+  // 100 + 75 + 75 off before the cap, in the ratio 4:3:3
+  assert.equal(q.discount, 25);
+  assert.deepEqual(q.breakdown.map((y) => y.discount), [10, 8, 7]);
+});
+
+test('minBasePrice is checked against the price of all years', async () => {
+  const com = await quote('com', 'USD', ['PREMIUM']);
+  assert.deepEqual(com.discountStatuses, [{ code: 'PREMIUM', status: 'below-min-base-price' }]);
+  assert.equal((await quote('ai', 'USD', ['PREMIUM'])).discount, 20);
+  assert.equal((await quote('com', 'USD', ['PREMIUM'], { years: 10 })).discountStatuses[0].status, 'applied');
+});
+
+test('minOrderTotal defaults to the quote and can be given the order total', async () => {
+  const alone = await quote('com', 'USD', ['BIGORDER']);
+  assert.equal(alone.discountStatuses[0].status, 'below-min-order-total');
+  const inOrder = await quote('com', 'USD', ['BIGORDER'], { orderTotal: 60 });
+  assert.equal(inOrder.discount, 2);
+  await assert.rejects(() => quote('com', 'USD', [], { orderTotal: -1 }), InvalidQuoteOptionError);
+});
+
+test('carts judge minOrderTotal on the whole cart', async () => {
+  const dq = createDq();
+  const lines = [{ id: 'a', extension: 'com' }, { id: 'b', extension: 'com' }];
+  const small = await dq.quoteCart(lines, { currency: 'USD', discountCodes: ['BIGORDER'], now: NOW });
+  assert.equal(small.discount, 0);
+  assert.equal(small.lines[0].quote.discountStatuses[0].status, 'below-min-order-total');
+
+  const big = await dq.quoteCart([...lines, { id: 'c', extension: 'ai' }], {
+    currency: 'USD',
+    discountCodes: ['BIGORDER'],
+    now: NOW,
+  });
+  assert.deepEqual(big.lines.map((line) => line.quote.discount), [2, 2, 40]);
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, UnsupportedExtensionError } from '../dist/index.js';
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function createDq() {
+  return new DomainQuotes({
+    createPrices: { com: 10, org: 15 },
+    exchangeRates: [],
+    vatRate: 0.1,
+    discounts: {
+      SAVE10: { rate: 0.1, extensions: ['com'], ...window },
+      SAVE20: { rate: 0.2, extensions: ['com'], ...window },
+      SUMMER25: { rate: 0.25, extensions: ['com'], startAt: '2025-06-01T00:00:00Z', endAt: '2025-08-31T23:59:59Z' },
+      SPRING23: { rate: 0.25, extensions: ['com'], startAt: '2023-03-01T00:00:00Z', endAt: '2023-05-31T23:59:59Z' },
+      BROKEN: { rate: 0.25, extensions: ['com'], startAt: 'not a date', endAt: '2030-01-01T00:00:00Z' },
+      TRANSFERONLY: { rate: 0.3, extensions: ['com'], transactions: ['transfer'], ...window },
+      VIP: { rate: 0.5, extensions: ['com'], ...window, isEligible: ({ basePrice }) => basePrice > 100 },
+      FLAKY: {
+        rate: 0.5,
+        extensions: ['com'],
+        ...window,
+        isEligible: () => {
+          throw new Error('loyalty service down');
+        },
+      },
+    },
+  });
+}
+
+test('validateDiscountCode reports why each code does or does not apply', async () => {
+  const dq = createDq();
+  const check = (code, extension = 'com', options = {}) => (
+    dq.validateDiscountCode(code, extension, 'USD', { now: NOW, ...options })
+  );
+
+  assert.deepEqual(await check('save10'), { code: 'SAVE10', status: 'applied', amount: 1 });
+  assert.deepEqual(await check('NOSUCHCODE'), { code: 'NOSUCHCODE', status: 'unknown' });
+  assert.equal((await check('SUMMER25')).status, 'not-started');
+  assert.equal((await check('SPRING23')).status, 'expired');
+  assert.equal((await check('BROKEN')).status, 'not-started');
+  assert.equal((await check('SAVE10', 'org')).status, 'wrong-extension');
+  assert.equal((await check('TRANSFERONLY')).status, 'wrong-transaction');
+  assert.equal((await check('TRANSFERONLY', 'com', { transaction: 'transfer' })).status, 'applied');
+  assert.equal((await check('VIP')).status, 'callback-rejected');
+  assert.equal((await check('FLAKY')).status, 'callback-errored');
+});
+
+test('validateDiscountCode judges the code on its own', async () => {
+  const dq = createDq();
+  const result = await dq.validateDiscountCode('SAVE10', 'com', 'USD', { now: NOW, discountCodes: ['SAVE20'] });
+  assert.equal(result.status, 'applied');
+});
+
+test('validateDiscountCode throws for unsupported extensions like getQuote', async () => {
+  await assert.rejects(() => createDq().validateDiscountCode('SAVE10', 'xyz', 'USD'), UnsupportedExtensionError);
+});
+
+test('quotes list the status of every code passed', async () => {
+  const quote = await createDq().getQuote('com', 'USD', {
+    now: NOW,
+    discountCodes: ['save10', 'SAVE20', 'SPRING23', 'SAVE10', 'FLAKY'],
+  });
+  assert.deepEqual(quote.discountStatuses, [
+    { code: 'SAVE10', status: 'not-selected', amount: 1 },
+    { code: 'SAVE20', status: 'applied', amount: 2 },
+    { code: 'SPRING23', status: 'expired' },
+    { code: 'FLAKY', status: 'callback-errored' },
+  ]);
+  assert.equal(quote.discount, 2);
+});
+
+test('quotes without codes have an empty status list', async () => {
+  const quote = await createDq().getQuote('com', 'USD');
+  assert.deepEqual(quote.discountStatuses, []);
+});
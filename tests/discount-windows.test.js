@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+const years = { startAt: '2024-01-01T00:00:00Z', endAt: '2030-12-31T23:59:59Z' };
+
+function createDq() {
+  return new DomainQuotes({
+    createPrices: { com: 10 },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {
+      LAGOSDAY: {
+        rate: 0.1,
+        extensions: ['com'],
+        startAt: '2024-11-29T00:00:00',
+        endAt: '2024-11-29T23:59:59',
+        timeZone: 'Africa/Lagos',
+      },
+      UTCDAY: {
+        rate: 0.1,
+        extensions: ['com'],
+        startAt: '2024-11-29T00:00:00Z',
+        endAt: '2024-11-29T23:59:59Z',
+        timeZone: 'Africa/Lagos',
+      },
+      NYSPRING: {
+        rate: 0.1,
+        extensions: ['com'],
+        startAt: '2024-03-10T03:00:00',
+        endAt: '2024-12-31T00:00:00',
+        timeZone: 'America/New_York',
+      },
+      FRIDAY: { rate: 0.1, extensions: ['com'], ...years, timeZone: 'Africa/Lagos', recurrence: { daysOfWeek: [5] } },
+      FIRSTWEEK: { rate: 0.1, extensions: ['com'], ...years, recurrence: { daysOfMonth: [1, 2, 3, 4, 5, 6, 7] } },
+      LASTDAY: { rate: 0.1, extensions: ['com'], ...years, recurrence: { daysOfMonth: [-1] } },
+      BLACKFRIDAY: {
+        rate: 0.3,
+        extensions: ['com'],
+        ...years,
+        recurrence: { months: [11], daysOfWeek: [5], daysOfMonth: [23, 24, 25, 26, 27, 28, 29] },
+      },
+      LATENIGHT: {
+        rate: 0.1,
+        extensions: ['com'],
+        ...years,
+        recurrence: { daysOfWeek: [5], startTime: '18:00', endTime: '02:00' },
+      },
+      NOWHERE: { rate: 0.1, extensions: ['com'], ...years, timeZone: 'Mars/Olympus_Mons' },
+      BADTIME: { rate: 0.1, extensions: ['com'], ...years, recurrence: { startTime: '9am' } },
+    },
+  });
+}
+
+const dq = createDq();
+const statusAt = async (code, iso) => (
+  (await dq.validateDiscountCode(code, 'com', 'USD', { now: Date.parse(iso) })).status
+);
+
+test('bounds without an offset are local time in the time zone', async () => {
+  // Lagos is UTC+1
+  assert.equal(await statusAt('LAGOSDAY', '2024-11-28T22:59:00Z'), 'not-started');
+  assert.equal(await statusAt('LAGOSDAY', '2024-11-28T23:30:00Z'), 'applied');
+  assert.equal(await statusAt('LAGOSDAY', '2024-11-29T23:30:00Z'), 'expired');
+  // Explicit offsets win over the time zone
+  assert.equal(await statusAt('UTCDAY', '2024-11-28T23:30:00Z'), 'not-started');
+  assert.equal(await statusAt('UTCDAY', '2024-11-29T23:30:00Z'), 'applied');
+});
+
+test('local bounds account for daylight saving time', async () => {
+  // 03:00 on the day New York springs forward is 07:00 UTC
+  assert.equal(await statusAt('NYSPRING', '2024-03-10T06:59:00Z'), 'not-started');
+  assert.equal(await statusAt('NYSPRING', '2024-03-10T07:00:00Z'), 'applied');
+});
+
+test('weekly recurrence follows the local calendar', async () => {
+  // 2024-06-14 is a Friday
+  assert.equal(await statusAt('FRIDAY', '2024-06-13T23:30:00Z'), 'applied');
+  assert.equal(await statusAt('FRIDAY', '2024-06-14T22:30:00Z'), 'applied');
+  assert.equal(await statusAt('FRIDAY', '2024-06-14T23:30:00Z'), 'outside-schedule');
+  assert.equal(await statusAt('FRIDAY', '2023-06-16T12:00:00Z'), 'not-started');
+});
+
+test('monthly and yearly recurrences', async () => {
+  assert.equal(await statusAt('FIRSTWEEK', '2024-07-07T23:59:00Z'), 'applied');
+  assert.equal(await statusAt('FIRSTWEEK', '2024-07-08T00:00:00Z'), 'outside-schedule');
+  assert.equal(await statusAt('LASTDAY', '2024-02-29T12:00:00Z'), 'applied');
+  assert.equal(await statusAt('LASTDAY', '2024-02-28T12:00:00Z'), 'outside-schedule');
+  assert.equal(await statusAt('BLACKFRIDAY', '2024-11-29T12:00:00Z'), 'applied');
+  assert.equal(await statusAt('BLACKFRIDAY', '2024-11-22T12:00:00Z'), 'outside-schedule');
+  assert.equal(await statusAt('BLACKFRIDAY', '2025-11-28T12:00:00Z'), 'applied');
+  assert.equal(await statusAt('BLACKFRIDAY', '2031-11-28T12:00:00Z'), 'expired');
+});
+
+test('times of day can run past midnight', async () => {
+  assert.equal(await statusAt('LATENIGHT', '2024-06-14T17:59:00Z'), 'outside-schedule');
+  assert.equal(await statusAt('LATENIGHT', '2024-06-14T19:00:00Z'), 'applied');
+  assert.equal(await statusAt('LATENIGHT', '2024-06-15T01:30:00Z'), 'applied');
+  assert.equal(await statusAt('LATENIGHT', '2024-06-15T02:00:00Z'), 'outside-schedule');
+  // Thursday night's tail is not Friday's
+  assert.equal(await statusAt('LATENIGHT', '2024-06-14T01:00:00Z'), 'outside-schedule');
+});
+
+test('unknown time zones and malformed times are invalid schedules, not upcoming codes', async () => {
+  assert.equal(await statusAt('NOWHERE', '2024-06-14T12:00:00Z'), 'invalid-schedule');
+  assert.equal(await statusAt('BADTIME', '2024-06-14T12:00:00Z'), 'invalid-schedule');
+});
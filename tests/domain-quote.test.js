@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, UnsupportedDomainError } from '../dist/index.js';
+
+function createTestConfig(overrides = {}) {
+  return {
+    createPrices: { com: 10, ng: 20, 'com.ng': 5, uk: 8, 'co.uk': 6 },
+    renewPrices: { 'com.ng': 7 },
+    createProviders: { 'com.ng': 'nira', ng: 'nira', com: 'openprovider' },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {},
+    supportedCurrencies: ['USD'],
+    ...overrides,
+  };
+}
+
+test('getDomainQuote resolves the longest supported suffix', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getDomainQuote('example.com.ng', 'USD');
+  assert.equal(quote.extension, 'com.ng');
+  assert.equal(quote.label, 'example');
+  assert.equal(quote.domain, 'example.com.ng');
+  assert.equal(quote.subdomain, undefined);
+  assert.equal(quote.basePrice, 5);
+  assert.equal(quote.provider, 'nira');
+});
+
+test('getDomainQuote strips subdomains down to the registrable domain', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getDomainQuote('shop.blog.Example.CO.UK.', 'USD');
+  assert.equal(quote.domain, 'example.co.uk');
+  assert.equal(quote.label, 'example');
+  assert.equal(quote.extension, 'co.uk');
+  assert.equal(quote.subdomain, 'shop.blog');
+  assert.equal(quote.basePrice, 6);
+});
+
+test('getDomainQuote falls back to a shorter suffix when the longer one is not priced', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getDomainQuote('example.org.ng', 'USD');
+  assert.equal(quote.extension, 'ng');
+  assert.equal(quote.label, 'org');
+  assert.equal(quote.subdomain, 'example');
+  assert.equal(quote.basePrice, 20);
+});
+
+test('a supported suffix on its own is refused, not quoted under a shorter suffix', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  for (const input of ['co.uk', 'com.ng', 'COM.NG.']) {
+    await assert.rejects(
+      () => dq.getDomainQuote(input, 'USD'),
+      (err) => err instanceof UnsupportedDomainError
+        && err.message === `Unsupported domain: ${input} (is an extension, not a registrable domain)`
+    );
+  }
+  // Unpriced second-level names are still registrable under their parent
+  assert.equal((await dq.getDomainQuote('org.ng', 'USD')).domain, 'org.ng');
+});
+
+test('getDomainQuote passes options through to the quote', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getDomainQuote('example.com.ng', 'USD', { transaction: 'renew' });
+  assert.equal(quote.domainTransaction, 'renew');
+  assert.equal(quote.basePrice, 7);
+});
+
+test('getDomainQuote throws UnsupportedDomainError when no suffix matches', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  await assert.rejects(
+    () => dq.getDomainQuote('example.dev', 'USD'),
+    (err) => err instanceof UnsupportedDomainError
+      && err.code === 'ERR_UNSUPPORTED_DOMAIN'
+      && err.message === 'Unsupported domain: example.dev (no supported extension matches)'
+  );
+  await assert.rejects(() => dq.getDomainQuote('dev', 'USD'), /no supported extension matches/);
+  await assert.rejects(() => dq.getDomainQuote('com', 'USD'), /is an extension/);
+});
+
+test('getDomainQuote rejects malformed names', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  for (const input of ['', '   ', 'example..com', '.']) {
+    await assert.rejects(() => dq.getDomainQuote(input, 'USD'), /not a valid domain name/);
+  }
+});
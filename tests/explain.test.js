@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, createDomainDataSource } from '../dist/index.js';
+
+const FILES = {
+  '/create.csv': [
+    'tld,provider,currency,amount',
+    'com,namecheap,USD,9.5',
+    'com,openprovider,USD,8',
+    'ng,nira,USD,5',
+    'ng,nira,NGN,7000',
+    '',
+    'ng,whogohost,NGN,6500',
+  ].join('\n'),
+  '/renew.csv': ['tld,provider,currency,amount', 'com,openprovider,USD,12'].join('\n'),
+  '/transfer.csv': 'tld,provider,currency,amount',
+  '/rates.json': JSON.stringify([
+    {
+      countryCode: 'NG',
+      currencyName: 'Nigerian Naira',
+      currencySymbol: '₦',
+      currencyCode: 'NGN',
+      exchangeRate: 1500,
+      inverseRate: 1 / 1500,
+    },
+  ]),
+};
+
+async function loadConfig() {
+  const source = createDomainDataSource({
+    fetch: async (url) => new Response(FILES[new URL(url).pathname], { status: 200 }),
+    urls: {
+      createPrices: 'http://data.test/create.csv',
+      renewPrices: 'http://data.test/renew.csv',
+      transferPrices: 'http://data.test/transfer.csv',
+      exchangeRates: 'http://data.test/rates.json',
+    },
+  });
+  return source.load();
+}
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+
+test('quotes carry no explanation unless asked', async () => {
+  const quote = await new DomainQuotes(await loadConfig()).getQuote('ng', 'NGN');
+  assert.equal(quote.explain, undefined);
+});
+
+test('a direct currency price names the winning CSV row and the implied rate', async () => {
+  const config = { ...(await loadConfig()), markup: { type: 'percentage', value: 0.2 } };
+  const quote = await new DomainQuotes(config).getQuote('ng', 'NGN', { explain: true });
+  const [price] = quote.explain.prices;
+
+  assert.equal(price.transaction, 'create');
+  assert.deepEqual(price.years, [1]);
+  assert.equal(price.overrideTable, undefined);
+  assert.equal(price.overrideUsed, false);
+  assert.equal(price.usdPrice, 5);
+  assert.equal(price.usdSource, 'createPrices');
+  assert.deepEqual(price.usdRow, { provider: 'nira', amount: 5, line: 4 });
+  assert.deepEqual(price.markup, { type: 'percentage', value: 0.2, before: 5, after: 6 });
+  // The cheaper whogohost row won, after a blank line
+  assert.deepEqual(price.conversion, {
+    method: 'direct',
+    price: 6500,
+    source: 'createPrices',
+    row: { provider: 'whogohost', amount: 6500, line: 7 },
+    impliedRate: 1300,
+  });
+  assert.equal(price.amount, 7800);
+  assert.equal(quote.basePrice, 7800);
+});
+
+test('FX conversion records the exchange rate', async () => {
+  const quote = await new DomainQuotes(await loadConfig()).getQuote('com', 'NGN', { explain: true });
+  const [price] = quote.explain.prices;
+  assert.deepEqual(price.usdRow, { provider: 'openprovider', amount: 8, line: 3 });
+  assert.deepEqual(price.conversion, { method: 'fx', rate: 1500 });
+  assert.equal(price.markup, undefined);
+});
+
+test('multi-year terms explain the renewal price and whether the override table was used', async () => {
+  const dq = new DomainQuotes(await loadConfig());
+  const com = await dq.getQuote('com', 'USD', { explain: true, years: 3 });
+  assert.deepEqual(com.explain.prices.map((p) => [p.transaction, p.years, p.overrideTable, p.overrideUsed]), [
+    ['create', [1], undefined, false],
+    ['renew', [2, 3], 'renewPrices', true],
+  ]);
+  assert.equal(com.explain.prices[1].usdSource, 'renewPrices');
+  assert.deepEqual(com.explain.prices[1].usdRow, { provider: 'openprovider', amount: 12, line: 2 });
+
+  // No .ng renewal row: the renewal falls back to the create price
+  const ng = await dq.getQuote('ng', 'USD', { explain: true, years: 2, transaction: 'renew' });
+  assert.equal(ng.explain.prices.length, 1);
+  assert.deepEqual(ng.explain.prices[0].years, [1, 2]);
+  assert.equal(ng.explain.prices[0].overrideUsed, false);
+  assert.equal(ng.explain.prices[0].usdSource, 'createPrices');
+});
+
+test('every discount code is listed with its status', async () => {
+  const config = {
+    ...(await loadConfig()),
+    discounts: {
+      SMALL: { rate: 0.05, extensions: ['com'], ...window },
+      BIG: { rate: 0.2, extensions: ['com'], ...window },
+      EXPIRED: { rate: 0.5, extensions: ['com'], startAt: '2020-01-01T00:00:00Z', endAt: '2020-12-31T00:00:00Z' },
+      NGONLY: { rate: 0.5, extensions: ['ng'], ...window },
+      TRANSFERS: { rate: 0.5, extensions: ['com'], transactions: ['transfer'], ...window },
+      VIP: { rate: 0.5, extensions: ['com'], ...window, isEligible: () => false },
+    },
+  };
+  const codes = ['small', 'BIG', 'NOPE', 'EXPIRED', 'NGONLY', 'TRANSFERS', 'VIP'];
+  const dq = new DomainQuotes(config);
+
+  const max = await dq.getQuote('com', 'USD', { explain: true, discountCodes: codes, now: NOW });
+  assert.equal(max.explain.discountPolicy, 'max');
+  assert.deepEqual(max.explain.discounts, [
+    { code: 'SMALL', status: 'not-selected', amount: 0 },
+    { code: 'BIG', status: 'applied', amount: 2 },
+    { code: 'NOPE', status: 'unknown' },
+    { code: 'EXPIRED', status: 'expired' },
+    { code: 'NGONLY', status: 'wrong-extension' },
+    { code: 'TRANSFERS', status: 'wrong-transaction' },
+    { code: 'VIP', status: 'callback-rejected' },
+  ]);
+
+  const stack = await dq.getQuote('com', 'USD', {
+    explain: true,
+    discountCodes: ['SMALL', 'BIG'],
+    discountPolicy: 'stack',
+    allowFractionalAmounts: true,
+    now: NOW,
+  });
+  assert.deepEqual(stack.explain.discounts.map((d) => [d.code, d.status, d.amount]), [
+    ['SMALL', 'applied', 0.4],
+    ['BIG', 'applied', 1.6],
+  ]);
+});
+
+test('rounding steps are recorded in pipeline order', async () => {
+  const config = {
+    ...(await loadConfig()),
+    discounts: { BIG: { rate: 0.15, extensions: ['com'], ...window } },
+  };
+  const quote = await new DomainQuotes(config).getQuote('com', 'NGN', {
+    explain: true,
+    discountCodes: ['BIG'],
+    now: NOW,
+    years: 2,
+  });
+  assert.equal(quote.explain.currency, 'NGN');
+  assert.equal(quote.explain.exponent, 2);
+  assert.equal(quote.explain.roundingIncrement, 100);
+  assert.deepEqual(quote.explain.rounding, [
+    { step: 'price:create', exact: 12000, rounded: 12000 },
+    { step: 'price:renew', exact: 18000, rounded: 18000 },
+    { step: 'discount:BIG:year1', exact: 1800, rounded: 1800 },
+    { step: 'discount:BIG:year2', exact: 2700, rounded: 2700 },
+    { step: 'tax:vat', exact: 1912.5, rounded: 1913 },
+  ]);
+  assert.equal(quote.tax, 1913);
+});
+
+test('cart options can request explanations for the line quotes', async () => {
+  const cart = await new DomainQuotes(await loadConfig()).quoteCart(
+    [{ id: 'a', extension: 'com' }],
+    { currency: 'USD', explain: true }
+  );
+  assert.equal(cart.lines[0].quote.explain.prices[0].usdPrice, 8);
+});
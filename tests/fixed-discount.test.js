@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function rate(currencyCode, exchangeRate) {
+  return {
+    countryCode: '',
+    currencyName: currencyCode,
+    currencySymbol: currencyCode,
+    currencyCode,
+    exchangeRate,
+    inverseRate: 1 / exchangeRate,
+  };
+}
+
+function createDq(discounts) {
+  return new DomainQuotes({
+    createPrices: { com: { USD: 10 }, io: { USD: 40 } },
+    renewPrices: { com: { USD: 20 } },
+    exchangeRates: [rate('NGN', 1500), rate('GBP', 0.8)],
+    vatRate: 0,
+    discounts,
+    supportedCurrencies: ['USD', 'NGN', 'GBP'],
+  });
+}
+
+test('a fixed discount takes the configured amount in the quote currency', async () => {
+  const dq = createDq({ NAIRA2K: { amount: { NGN: 2000, USD: 5 }, extensions: ['com'], ...window } });
+  const ngn = await dq.getQuote('com', 'NGN', { discountCodes: ['NAIRA2K'], now: NOW });
+  assert.equal(ngn.basePrice, 15000);
+  assert.equal(ngn.discount, 2000);
+  const usd = await dq.getQuote('com', 'USD', { discountCodes: ['NAIRA2K'], now: NOW });
+  assert.equal(usd.discount, 5);
+});
+
+test('missing currencies are converted through the exchange rates, USD first', async () => {
+  const dq = createDq({
+    FIVE: { amount: { usd: 5 }, extensions: ['com'], ...window },
+    NAIRA: { amount: { EUR: 5, NGN: 3000 }, extensions: ['com'], ...window },
+  });
+  const five = await dq.getQuote('com', 'NGN', { discountCodes: ['FIVE'], now: NOW });
+  assert.equal(five.discount, 7500);
+  // No USD entry and no EUR rate: 3000 NGN = $2 = £1.60
+  const pounds = await dq.getQuote('com', 'GBP', { discountCodes: ['NAIRA'], now: NOW, allowFractionalAmounts: true });
+  assert.equal(pounds.discount, 1.6);
+});
+
+test('a fixed discount with no convertible currency is reported, not applied', async () => {
+  const dq = createDq({ EURO: { amount: { EUR: 5 }, extensions: ['com'], ...window } });
+  const quote = await dq.getQuote('com', 'USD', { discountCodes: ['EURO'], now: NOW });
+  assert.equal(quote.discount, 0);
+  assert.deepEqual(quote.discountStatuses, [{ code: 'EURO', status: 'wrong-currency' }]);
+});
+
+test('fixed discounts are clamped to the base price', async () => {
+  const dq = createDq({ HUGE: { amount: { USD: 100 }, extensions: ['com'], ...window } });
+  const quote = await dq.getQuote('com', 'USD', { discountCodes: ['HUGE'], now: NOW });
+  assert.equal(quote.discount, 10);
+  assert.equal(quote.totalPrice, 0);
+});
+
+test('max picks between fixed and percentage discounts by amount', async () => {
+  const dq = createDq({
+    FIVE: { amount: { USD: 5 }, extensions: ['com', 'io'], ...window },
+    TWENTY: { rate: 0.2, extensions: ['com', 'io'], ...window },
+  });
+  const com = await dq.getQuote('com', 'USD', { discountCodes: ['FIVE', 'TWENTY'], now: NOW });
+  assert.equal(com.discount, 5);
+  assert.deepEqual(com.discountStatuses.map((s) => s.status), ['applied', 'not-selected']);
+  const io = await dq.getQuote('io', 'USD', { discountCodes: ['FIVE', 'TWENTY'], now: NOW });
+  assert.equal(io.discount, 8);
+});
+
+test('stacked fixed and percentage discounts add up and stay within the price', async () => {
+  const dq = createDq({
+    FIVE: { amount: { USD: 5 }, extensions: ['com'], ...window },
+    SIX: { amount: { USD: 6 }, extensions: ['com'], ...window },
+    TWENTY: { rate: 0.2, extensions: ['com'], ...window },
+  });
+  const two = await dq.getQuote('com', 'USD', { discountCodes: ['FIVE', 'TWENTY'], discountPolicy: 'stack', now: NOW });
+  assert.equal(two.discount, 7);
+  const all = await dq.getQuote('com', 'USD', {
+    discountCodes: ['FIVE', 'SIX', 'TWENTY'],
+    discountPolicy: 'stack',
+    now: NOW,
+  });
+  assert.equal(all.discount, 10);
+});
+
+test('over a multi-year term a fixed discount is spread by year price', async () => {
+  const dq = createDq({
+    NINE: { amount: { USD: 9 }, extensions: ['com'], ...window },
+    FIRST: { amount: { USD: 50 }, extensions: ['com'], yearScope: 'firstYear', ...window },
+  });
+  // Prices: 10 + 20 + 20
+  const nine = await dq.getQuote('com', 'USD', { discountCodes: ['NINE'], years: 3, now: NOW });
+  assert.equal(nine.discount, 9);
+  assert.deepEqual(nine.breakdown.map((y) => y.discount), [2, 4, 3]);
+
+  const first = await dq.getQuote('com', 'USD', { discountCodes: ['FIRST'], years: 3, now: NOW });
+  assert.deepEqual(first.breakdown.map((y) => y.discount), [10, 0, 0]);
+});
+
+test('a discount with neither a rate nor an amount is reported as misconfigured', async () => {
+  const dq = createDq({ EMPTY: { extensions: ['com'], ...window }, ZERO: { rate: 0, extensions: ['com'], ...window } });
+  const quote = await dq.getQuote('com', 'USD', { discountCodes: ['EMPTY', 'ZERO'], now: NOW });
+  assert.equal(quote.discount, 0);
+  assert.deepEqual(quote.discountStatuses, [
+    { code: 'EMPTY', status: 'misconfigured' },
+    { code: 'ZERO', status: 'misconfigured' },
+  ]);
+});
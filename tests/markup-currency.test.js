@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, InvalidMarkupError } from '../dist/index.js';
+
+const rate = (currencyCode, exchangeRate) => ({
+  countryCode: currencyCode.slice(0, 2),
+  currencyName: currencyCode,
+  currencySymbol: currencyCode,
+  currencyCode,
+  exchangeRate,
+  inverseRate: 1 / exchangeRate,
+});
+
+function createDq(overrides = {}) {
+  return new DomainQuotes({
+    createPrices: { com: 10, ng: { USD: 5, NGN: 7000 } },
+    exchangeRates: [rate('NGN', 1500), rate('EUR', 0.8)],
+    vatRate: 0,
+    discounts: {},
+    supportedCurrencies: ['USD', 'NGN', 'EUR'],
+    markup: { type: 'fixed', value: 1500, currency: 'NGN' },
+    ...overrides,
+  });
+}
+
+const price = async (dq, ext, currency) => (
+  (await dq.getQuote(ext, currency, { allowFractionalAmounts: true })).basePrice
+);
+
+test('a fixed markup is added as is in its own currency and converted otherwise', async () => {
+  const dq = createDq();
+  assert.equal(await price(dq, 'com', 'NGN'), 16500);
+  assert.equal(await price(dq, 'com', 'USD'), 11);
+  assert.equal(await price(dq, 'com', 'EUR'), 8.8);
+  // Direct naira prices get the ₦1,500 on top, not ₦1,500 scaled by their implied rate
+  assert.equal(await price(dq, 'ng', 'NGN'), 8500);
+});
+
+test('mixed markups add each part on the wholesale price', async () => {
+  const dq = createDq({
+    markup: { type: 'percentage', value: 0.1, plus: [{ type: 'fixed', value: 1500, currency: 'NGN' }] },
+  });
+  assert.equal(await price(dq, 'com', 'NGN'), 18000);
+  assert.equal(await price(dq, 'com', 'USD'), 12);
+
+  const quote = await dq.getQuote('com', 'NGN', { explain: true });
+  assert.deepEqual(quote.explain.prices[0].markup, {
+    type: 'percentage',
+    value: 0.1,
+    plus: [{ type: 'fixed', value: 1500, currency: 'NGN' }],
+    before: 10,
+    after: 11,
+    local: 1500,
+  });
+});
+
+test('rule margin limits count local amounts at the exchange rate', async () => {
+  const dq = createDq({
+    markupRules: [{ id: 'naira', type: 'fixed', value: 1500, currency: 'NGN', maxMarginUsd: 0.5 }],
+  });
+  assert.equal(await price(dq, 'com', 'NGN'), 15750);
+  assert.equal(await price(dq, 'com', 'USD'), 10.5);
+});
+
+test('a fixed markup in a currency without an exchange rate is refused as a markup error', async () => {
+  const dq = createDq({ markup: { type: 'fixed', value: 5, currency: 'GBP' } });
+  await assert.rejects(() => dq.getQuote('com', 'USD'), (err) => (
+    err instanceof InvalidMarkupError && err.code === 'ERR_INVALID_MARKUP' && err.markup === 'markup'
+  ));
+
+  const ruled = createDq({
+    markupRules: [
+      { id: 'mixed', type: 'percentage', value: 0.1, plus: [{ type: 'fixed', value: 5, currency: 'GBP' }] },
+    ],
+  });
+  await assert.rejects(() => ruled.getQuote('com', 'NGN'), { markup: 'markupRules[mixed].plus[0]' });
+});
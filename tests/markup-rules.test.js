@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+function createDq(overrides = {}) {
+  return new DomainQuotes({
+    createPrices: { com: 8, io: 40, ai: 80, ng: 5, 'com.ng': 4 },
+    renewPrices: { com: 12 },
+    transferPrices: { com: 8 },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {},
+    markup: { type: 'percentage', value: 0.2 },
+    tldGroups: { nigeria: ['.ng', 'com.ng'] },
+    markupRules: [
+      { id: 'transfers', type: 'fixedUsd', value: 3, transactions: ['transfer'] },
+      { id: 'local', type: 'percentage', value: 0.5, tldGroups: ['nigeria'], maxMarginUsd: 2 },
+      { id: 'cheap', type: 'percentage', value: 0.3, priceBand: { max: 10 } },
+      { id: 'premium', type: 'percentage', value: 0.1, priceBand: { min: 50 }, minMarginUsd: 10 },
+      { id: 'io', type: 'fixedUsd', value: 1, extensions: ['.IO'] },
+    ],
+    ...overrides,
+  });
+}
+
+const price = async (dq, ext, options = {}) => {
+  const quote = await dq.getQuote(ext, 'USD', { allowFractionalAmounts: true, ...options });
+  return [quote.basePrice, quote.markupRule];
+};
+
+test('the first matching rule prices the domain and is reported', async () => {
+  const dq = createDq();
+  assert.deepEqual(await price(dq, 'com'), [10.4, 'cheap']);
+  assert.deepEqual(await price(dq, 'io'), [41, 'io']);
+  assert.deepEqual(await price(dq, 'com', { transaction: 'transfer' }), [11, 'transfers']);
+});
+
+test('prices no rule matches fall back to the flat markup', async () => {
+  const dq = createDq({ markupRules: [{ id: 'io', type: 'fixedUsd', value: 1, extensions: ['io'] }] });
+  assert.deepEqual(await price(dq, 'com'), [9.6, undefined]);
+  const noMarkup = createDq({ markup: undefined, markupRules: [] });
+  assert.deepEqual(await price(noMarkup, 'com'), [8, undefined]);
+});
+
+test('margin floors and ceilings bound the markup', async () => {
+  const dq = createDq();
+  // 10% of $80 is $8, under the $10 floor
+  assert.deepEqual(await price(dq, 'ai'), [90, 'premium']);
+  // 50% of $5 is within the $2 ceiling, 50% of $4 is not
+  assert.deepEqual(await price(dq, 'ng'), [7, 'local']);
+  assert.deepEqual(await price(dq, 'com.ng'), [6, 'local']);
+
+  const quote = await dq.getQuote('ai', 'USD', { explain: true });
+  assert.deepEqual(quote.explain.prices[0].markup, {
+    type: 'percentage',
+    value: 0.1,
+    before: 80,
+    after: 90,
+    rule: 'premium',
+    clamped: 'floor',
+  });
+});
+
+test('each year of a term reports the rule that priced it', async () => {
+  const quote = await createDq().getQuote('com', 'USD', { years: 2, allowFractionalAmounts: true });
+  // The $12 renewal is past the 'cheap' band
+  assert.deepEqual(quote.breakdown.map((y) => [y.basePrice, y.markupRule]), [[10.4, 'cheap'], [14.4, undefined]]);
+  assert.equal(quote.markupRule, 'cheap');
+});
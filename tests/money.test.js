@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+function makeConfig(createPrices) {
+  return {
+    createPrices,
+    exchangeRates: [],
+    vatRate: 0.075,
+    discounts: {
+      TEN: { rate: 0.1, extensions: ['com'], startAt: '2000-01-01T00:00:00Z', endAt: '2100-01-01T00:00:00Z' },
+      SAVE15: { rate: 0.15, extensions: ['com'], startAt: '2000-01-01T00:00:00Z', endAt: '2100-01-01T00:00:00Z' },
+    },
+  };
+}
+
+test('tax rounds half up on exact cents instead of float toFixed', async () => {
+  // 9.80 * 7.5% = 0.735, which Number(0.735.toFixed(2)) turns into 0.73
+  const dq = new DomainQuotes(makeConfig({ com: { USD: 9.8 } }));
+  const quote = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true });
+  assert.equal(quote.subtotal, 9.8);
+  assert.equal(quote.tax, 0.74);
+  assert.equal(quote.totalPrice, 10.54);
+  assert.deepEqual(quote.minorUnits, {
+    exponent: 2,
+    basePrice: 980,
+    discount: 0,
+    subtotal: 980,
+    tax: 74,
+    totalPrice: 1054,
+  });
+});
+
+test('discounts round half up on exact cents', async () => {
+  // 10% of 10.05 is 1.005, which toFixed(2) rounds down to 1.00
+  const dq = new DomainQuotes(makeConfig({ com: { USD: 10.05 } }));
+  const quote = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true, discountCodes: ['TEN'] });
+  assert.equal(quote.discount, 1.01);
+  assert.equal(quote.subtotal, 9.04);
+});
+
+test('minorUnits.subtotal + minorUnits.tax === minorUnits.totalPrice for every quote', async () => {
+  const createPrices = {};
+  for (let cents = 101; cents <= 2000; cents += 7) {
+    createPrices[`x${cents}`] = { USD: cents / 100 };
+  }
+  createPrices.com = { USD: 12.34 };
+  const dq = new DomainQuotes(makeConfig(createPrices));
+  for (const extension of Object.keys(createPrices)) {
+    for (const allowFractionalAmounts of [true, false]) {
+      const options = { allowFractionalAmounts, years: 3, discountCodes: ['SAVE15'] };
+      const quote = await dq.getQuote(extension, 'USD', options);
+      const minor = quote.minorUnits;
+      assert.equal(minor.subtotal + minor.tax, minor.totalPrice);
+      assert.equal(minor.basePrice - minor.discount, minor.subtotal);
+      assert.equal(quote.subtotal, minor.subtotal / 100);
+      assert.equal(quote.totalPrice, minor.totalPrice / 100);
+      if (!allowFractionalAmounts) {
+        assert.equal(minor.totalPrice % 100, 0);
+      }
+    }
+  }
+});
+
+test('whole-unit quotes round each step to whole units', async () => {
+  const dq = new DomainQuotes(makeConfig({ com: { USD: 10.5 } }));
+  const quote = await dq.getQuote('com', 'USD', { discountCodes: ['SAVE15'] });
+  assert.deepEqual(quote.minorUnits, {
+    exponent: 2,
+    basePrice: 1100,
+    discount: 200,
+    subtotal: 900,
+    tax: 100,
+    totalPrice: 1000,
+  });
+});
+
+test('cart totals add up from the lines in minor units', async () => {
+  const dq = new DomainQuotes(makeConfig({ com: { USD: 9.8 }, net: { USD: 10.05 } }));
+  const cart = await dq.quoteCart(
+    [{ id: 'a', extension: 'com' }, { id: 'b', extension: 'net' }, { id: 'c', extension: 'com', years: 2 }],
+    { currency: 'USD', allowFractionalAmounts: true }
+  );
+  const minor = cart.minorUnits;
+  assert.equal(minor.subtotal + minor.tax, minor.totalPrice);
+  assert.equal(minor.basePrice - minor.discount, minor.subtotal);
+  assert.equal(cart.tax, cart.lines.reduce((sum, line) => sum + Math.round(line.tax * 100), 0) / 100);
+  assert.equal(cart.totalPrice, minor.totalPrice / 100);
+});
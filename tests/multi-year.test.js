@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, InvalidQuoteOptionError } from '../dist/index.js';
+
+function createTestConfig(overrides = {}) {
+  return {
+    createPrices: { com: 10, net: 12 },
+    renewPrices: { com: 15 },
+    transferPrices: { com: 8 },
+    exchangeRates: [
+      {
+        countryCode: 'NG',
+        currencyName: 'Nigerian Naira',
+        currencySymbol: '₦',
+        currencyCode: 'NGN',
+        exchangeRate: 1000,
+        inverseRate: 0.001,
+      },
+    ],
+    vatRate: 0.1,
+    discounts: {},
+    supportedCurrencies: ['USD', 'NGN'],
+    ...overrides,
+  };
+}
+
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+const WINDOW = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+
+test('years defaults to 1 with a single-entry breakdown', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getQuote('com', 'USD');
+  assert.equal(quote.years, 1);
+  assert.deepEqual(quote.breakdown, [
+    { year: 1, transaction: 'create', basePrice: 10, discount: 0, subtotal: 10 },
+  ]);
+});
+
+test('multi-year create is the create price plus renewals for later years', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getQuote('com', 'USD', { years: 3 });
+  // 10 + 15 + 15
+  assert.equal(quote.basePrice, 40);
+  assert.equal(quote.tax, 4);
+  assert.equal(quote.totalPrice, 44);
+  assert.deepEqual(quote.breakdown.map((y) => [y.year, y.transaction, y.basePrice]), [
+    [1, 'create', 10],
+    [2, 'renew', 15],
+    [3, 'renew', 15],
+  ]);
+});
+
+test('multi-year renew and transfer use renew pricing after year 1', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const renew = await dq.getQuote('com', 'USD', { transaction: 'renew', years: 2 });
+  assert.equal(renew.basePrice, 30);
+  const transfer = await dq.getQuote('com', 'USD', { transaction: 'transfer', years: 2 });
+  assert.equal(transfer.basePrice, 23);
+  assert.deepEqual(transfer.breakdown.map((y) => y.transaction), ['transfer', 'renew']);
+});
+
+test('later years fall back to the create price when no renew price exists', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getQuote('net', 'USD', { years: 2 });
+  assert.equal(quote.basePrice, 24);
+});
+
+test('multi-year quotes convert each year to the quote currency', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  const quote = await dq.getQuote('com', 'NGN', { years: 2 });
+  assert.equal(quote.basePrice, 25000);
+  assert.deepEqual(quote.breakdown.map((y) => y.basePrice), [10000, 15000]);
+});
+
+test('discounts apply to every year by default', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: { SAVE10: { rate: 0.1, extensions: ['com'], ...WINDOW } },
+  }));
+  const quote = await dq.getQuote('com', 'USD', { years: 3, discountCodes: ['SAVE10'], now: NOW });
+  // 1.5 per renewal year rounds to 2 (whole units by default)
+  assert.equal(quote.discount, 5);
+  assert.deepEqual(quote.breakdown.map((y) => y.discount), [1, 2, 2]);
+  assert.deepEqual(quote.breakdown.map((y) => y.subtotal), [9, 13, 13]);
+});
+
+test('firstYear-scoped discounts only reduce year 1', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: { PROMO50: { rate: 0.5, extensions: ['com'], yearScope: 'firstYear', ...WINDOW } },
+  }));
+  const quote = await dq.getQuote('com', 'USD', { years: 3, discountCodes: ['PROMO50'], now: NOW });
+  assert.equal(quote.discount, 5);
+  assert.deepEqual(quote.breakdown.map((y) => y.discount), [5, 0, 0]);
+});
+
+test('max policy picks the discount with the largest total across years', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: {
+      FIRST50: { rate: 0.5, extensions: ['com'], yearScope: 'firstYear', ...WINDOW },
+      ALL20: { rate: 0.2, extensions: ['com'], ...WINDOW },
+    },
+  }));
+  // FIRST50 = 5; ALL20 = 2 + 3 + 3 = 8
+  const three = await dq.getQuote('com', 'USD', { years: 3, discountCodes: ['FIRST50', 'ALL20'], now: NOW });
+  assert.equal(three.discount, 8);
+  assert.deepEqual(three.breakdown.map((y) => y.discount), [2, 3, 3]);
+
+  // One year: FIRST50 = 5 beats ALL20 = 2
+  const one = await dq.getQuote('com', 'USD', { discountCodes: ['FIRST50', 'ALL20'], now: NOW });
+  assert.equal(one.discount, 5);
+});
+
+test('stack policy sums discounts per year and clamps each year to its price', async () => {
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: {
+      FIRST80: { rate: 0.8, extensions: ['com'], yearScope: 'firstYear', ...WINDOW },
+      ALL40: { rate: 0.4, extensions: ['com'], ...WINDOW },
+    },
+  }));
+  const quote = await dq.getQuote('com', 'USD', {
+    years: 2,
+    discountCodes: ['FIRST80', 'ALL40'],
+    discountPolicy: 'stack',
+    now: NOW,
+  });
+  // Year 1: 8 + 4 = 12 clamped to 10; year 2: 6
+  assert.deepEqual(quote.breakdown.map((y) => y.discount), [10, 6]);
+  assert.equal(quote.discount, 16);
+});
+
+test('eligibility callbacks receive the number of years', async () => {
+  let seen;
+  const dq = new DomainQuotes(createTestConfig({
+    discounts: {
+      LONGTERM: {
+        rate: 0.1,
+        extensions: ['com'],
+        ...WINDOW,
+        isEligible: (ctx) => {
+          seen = ctx;
+          return ctx.years >= 2;
+        },
+      },
+    },
+  }));
+  const one = await dq.getQuote('com', 'USD', { discountCodes: ['LONGTERM'], now: NOW });
+  assert.equal(one.discount, 0);
+  const two = await dq.getQuote('com', 'USD', { years: 2, discountCodes: ['LONGTERM'], now: NOW });
+  assert.equal(two.discount, 3);
+  assert.equal(seen.years, 2);
+  assert.equal(seen.basePrice, 25);
+});
+
+test('years outside 1-10 are rejected', async () => {
+  const dq = new DomainQuotes(createTestConfig());
+  for (const years of [0, 11, 1.5, -1, Number.NaN]) {
+    await assert.rejects(
+      () => dq.getQuote('com', 'USD', { years }),
+      (err) => err instanceof InvalidQuoteOptionError && err.code === 'ERR_INVALID_OPTION' && /years/.test(err.message)
+    );
+  }
+  const ten = await dq.getQuote('com', 'USD', { years: 10 });
+  assert.equal(ten.breakdown.length, 10);
+});
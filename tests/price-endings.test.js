@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function createDq(currencies) {
+  return new DomainQuotes({
+    createPrices: { com: 10, io: 40 },
+    renewPrices: { com: 12 },
+    exchangeRates: [
+      {
+        countryCode: 'NG',
+        currencyName: 'Nigerian Naira',
+        currencySymbol: '₦',
+        currencyCode: 'NGN',
+        exchangeRate: 1500,
+        inverseRate: 1 / 1500,
+      },
+    ],
+    vatRate: 0,
+    discounts: { TEN: { rate: 0.1, extensions: ['com'], ...window } },
+    supportedCurrencies: ['USD', 'NGN'],
+    currencies,
+  });
+}
+
+const basePrice = async (dq, ext, currency, options = {}) => (
+  (await dq.getQuote(ext, currency, { allowFractionalAmounts: true, ...options })).basePrice
+);
+
+test('endings move the price to the nearest matching amount', async () => {
+  const dq = createDq([
+    { code: 'USD', exponent: 2, priceEnding: { endings: [0.99] } },
+    { code: 'NGN', exponent: 2, priceEnding: { endings: [900] } },
+  ]);
+  assert.equal(await basePrice(dq, 'com', 'USD'), 9.99);
+  assert.equal(await basePrice(dq, 'io', 'USD'), 39.99);
+  // ₦15,000 sits between ₦14,900 and ₦15,900
+  assert.equal(await basePrice(dq, 'com', 'NGN'), 14900);
+  // Each year of a term is moved on its own
+  const term = await dq.getQuote('com', 'USD', { years: 2, allowFractionalAmounts: true });
+  assert.deepEqual(term.breakdown.map((y) => y.basePrice), [9.99, 11.99]);
+});
+
+test('the direction limits which way the price may move', async () => {
+  const up = createDq([{ code: 'NGN', exponent: 2, priceEnding: { endings: [900], direction: 'up' } }]);
+  assert.equal(await basePrice(up, 'com', 'NGN'), 15900);
+  const down = createDq([{ code: 'USD', exponent: 2, priceEnding: { endings: [0.99], direction: 'down' } }]);
+  assert.equal(await basePrice(down, 'com', 'USD'), 9.99);
+});
+
+test('price points are tried before endings, within the maximum deviation', async () => {
+  const dq = createDq([
+    { code: 'NGN', exponent: 2, priceEnding: { pricePoints: [14999, 59999], endings: [900], maxDeviation: 0.02 } },
+  ]);
+  assert.equal(await basePrice(dq, 'com', 'NGN'), 14999);
+  assert.equal(await basePrice(dq, 'io', 'NGN'), 59999);
+  // The ₦18,000 renewal is nowhere near a point and takes the ending instead
+  assert.equal(await basePrice(dq, 'com', 'NGN', { transaction: 'renew' }), 17900);
+
+  const strict = createDq([{ code: 'NGN', exponent: 2, priceEnding: { endings: [900], maxDeviation: 0.005 } }]);
+  assert.equal(await basePrice(strict, 'com', 'NGN'), 15000);
+});
+
+test('discounts apply to the adjusted price and the move is explained', async () => {
+  const dq = createDq([{ code: 'USD', exponent: 2, priceEnding: { endings: [0.99] } }]);
+  const quote = await dq.getQuote('com', 'USD', {
+    allowFractionalAmounts: true,
+    discountCodes: ['TEN'],
+    now: NOW,
+    explain: true,
+  });
+  assert.equal(quote.basePrice, 9.99);
+  assert.equal(quote.discount, 1);
+  assert.deepEqual(quote.explain.prices[0].priceEnding, { before: 10, after: 9.99 });
+  assert.deepEqual(quote.explain.rounding.find((step) => step.step === 'ending:create'), {
+    step: 'ending:create',
+    exact: 10,
+    rounded: 9.99,
+  });
+});
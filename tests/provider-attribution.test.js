@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, createDomainDataSource } from '../dist/index.js';
+
+function createDq() {
+  return new DomainQuotes({
+    createPrices: { com: 8, io: 40 },
+    renewPrices: { com: 12 },
+    transferPrices: { com: 7 },
+    createProviders: { com: 'openprovider', io: 'openprovider' },
+    renewProviders: { com: 'namecheap' },
+    transferProviders: { com: 'namecheap' },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {},
+  });
+}
+
+test('quotes name the provider of the table that priced them', async () => {
+  const dq = createDq();
+  assert.equal((await dq.getQuote('com', 'USD')).provider, 'openprovider');
+  assert.equal((await dq.getQuote('com', 'USD', { transaction: 'renew' })).provider, 'namecheap');
+  assert.equal((await dq.getQuote('com', 'USD', { transaction: 'transfer' })).provider, 'namecheap');
+  // .io has no renew price, so renewals are create-priced through the create provider
+  const io = await dq.getQuote('io', 'USD', { transaction: 'renew' });
+  assert.equal(io.provider, 'openprovider');
+  assert.equal(io.warnings, undefined);
+});
+
+test('each year of a term names its provider', async () => {
+  const quote = await createDq().getQuote('com', 'USD', { years: 3 });
+  assert.deepEqual(quote.breakdown.map((y) => y.provider), ['openprovider', 'namecheap', 'namecheap']);
+});
+
+test('a warning flags create and renew going through different registrars', async () => {
+  const dq = createDq();
+  const create = await dq.getQuote('com', 'USD');
+  assert.deepEqual(create.warnings, [
+    {
+      code: 'provider-mismatch',
+      message: 'create goes through openprovider but renewals go through namecheap',
+      provider: 'openprovider',
+      renewProvider: 'namecheap',
+    },
+  ]);
+  assert.equal((await dq.getQuote('com', 'USD', { transaction: 'transfer' })).warnings, undefined);
+  assert.equal((await dq.getQuote('com', 'USD', { transaction: 'renew' })).warnings, undefined);
+});
+
+test('data sources build provider maps from the renew and transfer price lists', async () => {
+  const files = {
+    '/create.csv': 'tld,provider,currency,amount\ncom,openprovider,USD,8\ncom,nira,NGN,13000\n',
+    '/renew.csv': 'tld,provider,currency,amount\ncom,namecheap,USD,11\ncom,openprovider,USD,12\n',
+    '/transfer.csv': 'tld,provider,currency,amount\ncom,openprovider,USD,7\n',
+    '/rates.json': JSON.stringify([
+      {
+        countryCode: 'NG',
+        currencyName: 'Nigerian Naira',
+        currencySymbol: '₦',
+        currencyCode: 'NGN',
+        exchangeRate: 1500,
+        inverseRate: 1 / 1500,
+      },
+    ]),
+  };
+  const source = createDomainDataSource({
+    urls: {
+      createPrices: 'https://mirror.test/create.csv',
+      renewPrices: 'https://mirror.test/renew.csv',
+      transferPrices: 'https://mirror.test/transfer.csv',
+      exchangeRates: 'https://mirror.test/rates.json',
+    },
+    fetch: async (url) => new Response(files[new URL(url).pathname]),
+  });
+  const config = await source.load();
+  assert.deepEqual(config.renewProviders, { com: 'namecheap' });
+  assert.deepEqual(config.transferProviders, { com: 'openprovider' });
+
+  const dq = new DomainQuotes(config);
+  assert.equal((await dq.getQuote('com', 'USD', { transaction: 'renew' })).provider, 'namecheap');
+  assert.equal((await dq.getQuote('com', 'USD', { transaction: 'transfer' })).provider, 'openprovider');
+  assert.equal((await dq.getQuote('com', 'USD')).warnings[0].renewProvider, 'namecheap');
+  // Naira quotes use nira's direct price, not the USD winner's, for renewals too
+  const naira = await dq.getQuote('com', 'NGN');
+  assert.equal(naira.provider, 'nira');
+  assert.equal(naira.warnings, undefined);
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { createDomainDataSource, createRefreshingDataSource, loadDomainDataSnapshot } from '../dist/index.js';
+
+const FILES = {
+  '/create.csv': [
+    'tld,provider,currency,amount',
+    'com,namecheap,USD,9',
+    'com,openprovider,USD,8',
+    'com,openprovider,NGN,13000',
+    'ng,nira,NGN,7000',
+    'ng,namecheap,USD,6',
+    'io,openprovider,USD,40',
+  ].join('\n'),
+  '/renew.csv': 'tld,provider,currency,amount\ncom,namecheap,USD,11\ncom,openprovider,USD,12\n',
+  '/transfer.csv': 'tld,provider,currency,amount\ncom,openprovider,USD,7\n',
+  '/rates.json': '[]',
+};
+
+const URLS = {
+  createPrices: 'https://mirror.test/create.csv',
+  renewPrices: 'https://mirror.test/renew.csv',
+  transferPrices: 'https://mirror.test/transfer.csv',
+  exchangeRates: 'https://mirror.test/rates.json',
+};
+
+const fakeFetch = async (url) => new Response(FILES[new URL(url).pathname]);
+const load = (providerSelection) => createDomainDataSource({ urls: URLS, fetch: fakeFetch, providerSelection }).load();
+
+test('every provider offer is kept and the cheapest is used by default', async () => {
+  const source = createDomainDataSource({ urls: URLS, fetch: fakeFetch });
+  const snapshot = await source.snapshot();
+  assert.deepEqual(snapshot.data.createPrices.offers.com.map((o) => [o.provider, o.currency, o.amount]), [
+    ['namecheap', 'USD', 9],
+    ['openprovider', 'USD', 8],
+    ['openprovider', 'NGN', 13000],
+  ]);
+  const config = await source.load();
+  assert.deepEqual(config.createPrices.com, { USD: 8, NGN: 13000 });
+  assert.equal(config.createProviders.com, 'openprovider');
+  assert.deepEqual(config.createPrices.ng, { NGN: 7000, USD: 6 });
+});
+
+test('excluded providers are never used', async () => {
+  const config = await load({ excludedProviders: ['OpenProvider'] });
+  assert.deepEqual(config.createPrices.com, { USD: 9 });
+  assert.equal(config.createProviders.com, 'namecheap');
+  assert.equal(config.createPrices.io, undefined);
+  assert.deepEqual(config.renewPrices.com, { USD: 11 });
+});
+
+test('preferred providers price the TLDs they list, in order', async () => {
+  const config = await load({ preferredProviders: ['nira', 'namecheap'] });
+  assert.deepEqual(config.createPrices.ng, { NGN: 7000 });
+  assert.equal(config.priceRows.createPrices.ng.NGN.provider, 'nira');
+  assert.deepEqual(config.createPrices.com, { USD: 9 });
+  // No preferred provider lists .io, so the cheapest does
+  assert.deepEqual(config.createPrices.io, { USD: 40 });
+});
+
+test('a custom selector picks the provider or drops the TLD', async () => {
+  const seen = [];
+  const config = await load({
+    excludedProviders: ['nira'],
+    select: (offers, { tld, table }) => {
+      seen.push(`${table}:${tld}`);
+      if (tld === 'io') return undefined;
+      return offers.find((o) => o.provider === 'namecheap')?.provider ?? offers[0].provider;
+    },
+  });
+  assert.deepEqual(config.createPrices.com, { USD: 9 });
+  assert.deepEqual(config.createPrices.ng, { USD: 6 });
+  assert.equal(config.createPrices.io, undefined);
+  assert.deepEqual(config.transferPrices.com, { USD: 7 });
+  assert.ok(seen.includes('renewPrices:com'));
+});
+
+test('snapshots and refreshing sources apply the selection too', async () => {
+  const snapshot = await createDomainDataSource({ urls: URLS, fetch: fakeFetch }).snapshot();
+  const offline = await loadDomainDataSnapshot(JSON.stringify(snapshot));
+  assert.deepEqual(offline.createPrices.com, { USD: 8, NGN: 13000 });
+  const preferred = await loadDomainDataSnapshot(snapshot, { providerSelection: { preferredProviders: ['namecheap'] } });
+  assert.deepEqual(preferred.createPrices.com, { USD: 9 });
+
+  const refreshing = createRefreshingDataSource({
+    urls: URLS,
+    fetch: fakeFetch,
+    providerSelection: { excludedProviders: ['namecheap'] },
+  });
+  assert.deepEqual((await refreshing.load()).renewPrices.com, { USD: 12 });
+});
@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  DomainQuotes,
+  RedemptionLimitError,
+  RedemptionNotFoundError,
+  UnknownDiscountCodeError,
+  createMemoryRedemptionStore,
+} from '../dist/index.js';
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function createDq(overrides = {}) {
+  return new DomainQuotes({
+    createPrices: { com: 10 },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {
+      FIRST2: { rate: 0.5, extensions: ['com'], maxRedemptions: 2, ...window },
+      ONCE: { rate: 0.2, extensions: ['com'], maxRedemptionsPerCustomer: 1, ...window },
+      OPEN: { rate: 0.1, extensions: ['com'], ...window },
+    },
+    ...overrides,
+  });
+}
+
+const status = async (dq, code, customer) => (
+  (await dq.validateDiscountCode(code, 'com', 'USD', { now: NOW, customer })).status
+);
+
+test('held and committed redemptions count against maxRedemptions', async () => {
+  const dq = createDq();
+  const first = await dq.reserveRedemption('first2');
+  await dq.commitRedemption(first);
+  const second = await dq.reserveRedemption('FIRST2');
+  assert.equal(await status(dq, 'FIRST2'), 'redemption-limit-reached');
+  await assert.rejects(() => dq.reserveRedemption('FIRST2'), (error) => (
+    error instanceof RedemptionLimitError
+    && error.code === 'ERR_REDEMPTION_LIMIT'
+    && error.discountCode === 'FIRST2'
+    && error.reason === 'redemption-limit-reached'
+  ));
+
+  // An abandoned checkout frees its hold
+  assert.equal(await dq.releaseRedemption(second), true);
+  assert.equal(await status(dq, 'FIRST2'), 'applied');
+  assert.equal(await dq.releaseRedemption(second), false);
+  assert.equal(await dq.releaseRedemption(first), false);
+});
+
+test('maxRedemptionsPerCustomer counts per customer id', async () => {
+  const dq = createDq();
+  assert.equal(await status(dq, 'ONCE'), 'customer-required');
+  await assert.rejects(() => dq.reserveRedemption('ONCE'), { reason: 'customer-required' });
+
+  await dq.commitRedemption(await dq.reserveRedemption('ONCE', { id: 'acct-1' }));
+  assert.equal(await status(dq, 'ONCE', { id: 'acct-1' }), 'customer-limit-reached');
+  assert.equal(await status(dq, 'ONCE', { id: 'acct-2' }), 'applied');
+  await assert.rejects(() => dq.reserveRedemption('ONCE', { id: 'acct-1' }), { reason: 'customer-limit-reached' });
+});
+
+test('quotes do not apply used-up codes and report why', async () => {
+  const dq = createDq();
+  await dq.reserveRedemption('FIRST2');
+  await dq.reserveRedemption('FIRST2');
+  const quote = await dq.getQuote('com', 'USD', { discountCodes: ['FIRST2', 'OPEN'], now: NOW });
+  assert.equal(quote.discount, 1);
+  assert.deepEqual(quote.discountStatuses.map((s) => s.status), ['redemption-limit-reached', 'applied']);
+});
+
+test('codes without limits can be reserved and committed', async () => {
+  const dq = createDq();
+  await dq.commitRedemption(await dq.reserveRedemption('OPEN'));
+  assert.equal(await status(dq, 'OPEN'), 'applied');
+  await assert.rejects(() => dq.commitRedemption('no-such-hold'), RedemptionNotFoundError);
+});
+
+test('the memory store lets holds lapse after holdTtlMs', async () => {
+  const store = createMemoryRedemptionStore({ holdTtlMs: 20 });
+  const held = store.reserve('FIRST2', undefined, { maxRedemptions: 1 });
+  assert.equal(held.ok, true);
+  assert.deepEqual(store.reserve('FIRST2', undefined, { maxRedemptions: 1 }), { ok: false, limit: 'total' });
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.deepEqual(store.usage('FIRST2'), { total: 0, customer: 0 });
+  assert.throws(() => store.commit(held.id), RedemptionNotFoundError);
+});
+
+test('a custom store receives the codes, customer ids and limits', async () => {
+  const calls = [];
+  const redemptionStore = {
+    usage: async (code, customerId) => {
+      calls.push(['usage', code, customerId]);
+      return { total: 0, customer: 0 };
+    },
+    reserve: async (code, customerId, limits) => {
+      calls.push(['reserve', code, customerId, limits]);
+      return { ok: true, id: 'r1' };
+    },
+    commit: async (id) => {
+      calls.push(['commit', id]);
+    },
+    release: async () => true,
+  };
+  const dq = createDq({ redemptionStore });
+  await dq.getQuote('com', 'USD', { discountCodes: ['ONCE', 'OPEN'], now: NOW, customer: { id: 'acct-1' } });
+  await dq.commitRedemption(await dq.reserveRedemption('ONCE', { id: 'acct-1' }));
+  assert.deepEqual(calls, [
+    ['usage', 'ONCE', 'acct-1'],
+    ['reserve', 'ONCE', 'acct-1', { maxRedemptions: undefined, maxRedemptionsPerCustomer: 1 }],
+    ['commit', 'r1'],
+  ]);
+});
+
+test('unknown codes cannot be reserved', async () => {
+  await assert.rejects(() => createDq().reserveRedemption('bogus'), (error) => (
+    error instanceof UnknownDiscountCodeError
+    && error.code === 'ERR_UNKNOWN_DISCOUNT_CODE'
+    && error.discountCode === 'BOGUS'
+  ));
+});
+
+test('a cart uses one redemption however many lines the code discounts', async () => {
+  const dq = createDq({ discounts: { ONLY1: { rate: 0.5, extensions: ['com'], maxRedemptions: 1, ...window } } });
+  const lines = [{ id: 'a', extension: 'com' }, { id: 'b', extension: 'com' }];
+  const order = await dq.quoteCart(lines, { currency: 'USD', discountCodes: ['ONLY1'], now: NOW });
+  assert.deepEqual(order.lines.map((line) => line.quote.discount), [5, 5]);
+  await dq.commitRedemption(await dq.reserveRedemption('ONLY1'));
+  const next = await dq.quoteCart(lines, { currency: 'USD', discountCodes: ['ONLY1'], now: NOW });
+  assert.equal(next.discount, 0);
+  assert.equal(next.lines[0].quote.discountStatuses[0].status, 'redemption-limit-reached');
+});
+
+test('an order re-priced while holding its redemptions keeps its discounts', async () => {
+  const dq = createDq();
+  const customer = { id: 'acct-1' };
+  const price = async (heldRedemptions) => (
+    await dq.getQuote('com', 'USD', { discountCodes: ['ONCE'], now: NOW, customer, heldRedemptions })
+  );
+  assert.equal((await price()).totalPrice, 8);
+  const hold = await dq.reserveRedemption('ONCE', customer);
+  // Without the hold id the order's own redemption uses up the limit
+  assert.equal((await price()).discountStatuses[0].status, 'customer-limit-reached');
+  const held = await price([hold]);
+  assert.equal(held.totalPrice, 8);
+  assert.equal(held.discountStatuses[0].status, 'applied');
+  const cart = await dq.quoteCart([{ id: 'a', extension: 'com' }], {
+    currency: 'USD',
+    discountCodes: ['ONCE'],
+    now: NOW,
+    customer,
+    heldRedemptions: [hold],
+  });
+  assert.equal(cart.totalPrice, 8);
+
+  // Once committed, the redemption is used up even for the ids that held it
+  await dq.commitRedemption(hold);
+  assert.equal((await price([hold])).discountStatuses[0].status, 'customer-limit-reached');
+});
+
+test('store errors fail the quote', async () => {
+  const dq = createDq({
+    redemptionStore: {
+      usage: () => Promise.reject(new Error('redis down')),
+      reserve: () => ({ ok: true, id: 'x' }),
+      commit: () => {},
+      release: () => true,
+    },
+  });
+  await assert.rejects(() => dq.getQuote('com', 'USD', { discountCodes: ['FIRST2'], now: NOW }), /redis down/);
+});
@@ -0,0 +1,227 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes, createRefreshingDataSource } from '../dist/index.js';
+
+const RATES = JSON.stringify([
+  {
+    countryCode: 'NG',
+    currencyName: 'Nigerian Naira',
+    currencySymbol: '₦',
+    currencyCode: 'NGN',
+    exchangeRate: 1000,
+    inverseRate: 0.001,
+  },
+]);
+
+// Fake upstream whose .com create price can be changed between refreshes
+function createUpstream(initialPrice = 10) {
+  const state = { comPrice: initialPrice, fail: false, requests: 0 };
+  const fetch = async (url) => {
+    state.requests++;
+    if (state.fail) throw new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } });
+    const path = new URL(url).pathname;
+    if (path.endsWith('.json')) return new Response(RATES);
+    if (path.includes('create')) return new Response(`tld,provider,currency,amount\ncom,openprovider,USD,${state.comPrice}\n`);
+    return new Response('tld,provider,currency,amount\n');
+  };
+  return { state, fetch };
+}
+
+function createClock(start = 0) {
+  let t = start;
+  return { now: () => t, advance: (ms) => { t += ms; } };
+}
+
+// Lets background refreshes settle
+const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+test('refreshing source loads once and serves from cache within the TTL', async () => {
+  const upstream = createUpstream();
+  const clock = createClock();
+  const source = createRefreshingDataSource({ fetch: upstream.fetch, ttlMs: 1000, now: clock.now });
+
+  assert.equal(source.current(), undefined);
+  const first = await source.load();
+  clock.advance(999);
+  const second = await source.load();
+  assert.equal(first, second);
+  assert.equal(upstream.state.requests, 4);
+  assert.equal(source.current(), first);
+  assert.match(first.datasetVersion, /^sha256-/);
+});
+
+test('stale data is served while a background refresh swaps in new tables', async () => {
+  const upstream = createUpstream(10);
+  const clock = createClock();
+  const source = createRefreshingDataSource({ fetch: upstream.fetch, ttlMs: 1000, now: clock.now });
+  const dq = new DomainQuotes(source);
+
+  const before = await dq.getQuote('com', 'USD');
+  assert.equal(before.basePrice, 10);
+
+  upstream.state.comPrice = 20;
+  clock.advance(1000);
+  const stale = await dq.getQuote('com', 'USD');
+  assert.equal(stale.basePrice, 10, 'stale tables are served while revalidating');
+  assert.equal(stale.datasetVersion, before.datasetVersion);
+
+  await flush();
+  const after = await dq.getQuote('com', 'USD');
+  assert.equal(after.basePrice, 20);
+  assert.notEqual(after.datasetVersion, before.datasetVersion);
+});
+
+test('pricing settings passed with a source survive refreshes', async () => {
+  const upstream = createUpstream(10);
+  const clock = createClock();
+  const source = createRefreshingDataSource({ fetch: upstream.fetch, ttlMs: 1000, now: clock.now });
+  const window = { startAt: '2000-01-01T00:00:00Z', endAt: '2100-01-01T00:00:00Z' };
+  const dq = new DomainQuotes(source, {
+    vatRate: 0,
+    markup: { type: 'percentage', value: 0.2 },
+    discounts: { S: { rate: 0.5, extensions: ['com'], ...window } },
+  });
+  const options = { discountCodes: ['S'] };
+
+  const before = await dq.getQuote('com', 'USD', options);
+  assert.deepEqual([before.basePrice, before.discount, before.tax], [12, 6, 0]);
+
+  upstream.state.comPrice = 20;
+  await source.refresh();
+  const after = await dq.getQuote('com', 'USD', options);
+  assert.notEqual(after.datasetVersion, before.datasetVersion);
+  assert.deepEqual([after.basePrice, after.discount, after.tax], [24, 12, 0]);
+  assert.equal(after.discountStatuses[0].status, 'applied');
+  // The source's own config is left as loaded
+  assert.deepEqual(source.current().discounts, {});
+});
+
+test('refresh events report the new and previous versions', async () => {
+  const upstream = createUpstream(10);
+  const source = createRefreshingDataSource({ fetch: upstream.fetch });
+  const events = [];
+  const off = source.on('refresh', (event) => events.push(event));
+
+  const first = await source.refresh();
+  upstream.state.comPrice = 11;
+  const second = await source.refresh();
+  off();
+  await source.refresh();
+
+  assert.equal(events.length, 2);
+  assert.equal(events[0].previousVersion, undefined);
+  assert.equal(events[0].version, first.datasetVersion);
+  assert.equal(events[1].previousVersion, first.datasetVersion);
+  assert.equal(events[1].version, second.datasetVersion);
+  assert.equal(events[1].config, second);
+});
+
+test('a failed refresh keeps the last good tables and emits an error event', async () => {
+  const upstream = createUpstream(10);
+  const clock = createClock();
+  const source = createRefreshingDataSource({ fetch: upstream.fetch, ttlMs: 1000, now: clock.now });
+  const errors = [];
+  source.on('error', (event) => errors.push(event));
+
+  const good = await source.load();
+  upstream.state.fail = true;
+  clock.advance(5000);
+  assert.equal(await source.load(), good);
+  await flush();
+
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].error.message, /failed to load remote pricing data/);
+  assert.equal(errors[0].version, good.datasetVersion);
+  assert.equal(source.current(), good);
+
+  await assert.rejects(() => source.refresh(), /ECONNRESET/);
+  assert.equal(source.current(), good);
+});
+
+test('failed refreshes are not retried before retryDelayMs', async () => {
+  const upstream = createUpstream(10);
+  const clock = createClock();
+  const source = createRefreshingDataSource({ fetch: upstream.fetch, ttlMs: 1000, retryDelayMs: 500, now: clock.now });
+
+  await source.load();
+  upstream.state.fail = true;
+  clock.advance(1000);
+  await source.load();
+  await flush();
+  const afterFailure = upstream.state.requests;
+
+  clock.advance(100);
+  await source.load();
+  await flush();
+  assert.equal(upstream.state.requests, afterFailure, 'no retry inside the delay');
+
+  upstream.state.fail = false;
+  upstream.state.comPrice = 12;
+  clock.advance(500);
+  await source.load();
+  await flush();
+  assert.deepEqual(source.current().createPrices.com, { USD: 12 });
+});
+
+test('load() waits for the refresh once past the stale-while-revalidate window', async () => {
+  const upstream = createUpstream(10);
+  const clock = createClock();
+  const source = createRefreshingDataSource({
+    fetch: upstream.fetch,
+    ttlMs: 1000,
+    staleWhileRevalidateMs: 1000,
+    now: clock.now,
+  });
+
+  await source.load();
+  upstream.state.comPrice = 15;
+  clock.advance(2500);
+  const config = await source.load();
+  assert.deepEqual(config.createPrices.com, { USD: 15 });
+
+  // Still falls back to the last good data when that refresh fails
+  upstream.state.fail = true;
+  clock.advance(2500);
+  assert.equal(await source.load(), config);
+});
+
+test('the first load rejects when nothing has been loaded yet', async () => {
+  const upstream = createUpstream();
+  upstream.state.fail = true;
+  const source = createRefreshingDataSource({ fetch: upstream.fetch });
+  await assert.rejects(() => source.load(), /failed to load remote pricing data/);
+  assert.equal(source.current(), undefined);
+});
+
+test('concurrent loads share a single download', async () => {
+  const upstream = createUpstream();
+  const source = createRefreshingDataSource({ fetch: upstream.fetch });
+  const [a, b] = await Promise.all([source.load(), source.load()]);
+  assert.equal(a, b);
+  assert.equal(upstream.state.requests, 4);
+});
+
+test('start() refreshes periodically until stop()', async () => {
+  const upstream = createUpstream(10);
+  const source = createRefreshingDataSource({ fetch: upstream.fetch, ttlMs: 20 });
+  await source.load();
+  upstream.state.comPrice = 30;
+  source.start();
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  source.stop();
+  assert.deepEqual(source.current().createPrices.com, { USD: 30 });
+});
+
+test('quotes from a static config carry no dataset version unless the config has one', async () => {
+  const config = {
+    createPrices: { com: 10 },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {},
+    supportedCurrencies: ['USD'],
+  };
+  assert.equal((await new DomainQuotes(config).getQuote('com', 'USD')).datasetVersion, undefined);
+  const versioned = await new DomainQuotes({ ...config, datasetVersion: 'v1' }).getQuote('com', 'USD');
+  assert.equal(versioned.datasetVersion, 'v1');
+});
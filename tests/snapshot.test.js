@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+  DEFAULT_CONFIG,
+  DomainQuotes,
+  InvalidSnapshotError,
+  createDomainDataSource,
+  createSnapshotDataSource,
+  getDefaultQuote,
+  loadDefaultConfig,
+  loadDomainDataSnapshot,
+} from '../dist/index.js';
+
+const FILES = {
+  '/create.csv': 'tld,provider,currency,amount\ncom,namecheap,USD,9\ncom,openprovider,USD,8\nng,nira,NGN,7000\n',
+  '/renew.csv': 'tld,provider,currency,amount\ncom,openprovider,USD,12\n',
+  '/transfer.csv': 'tld,provider,currency,amount\ncom,openprovider,USD,7\n',
+  '/rates.json': JSON.stringify([
+    {
+      countryCode: 'NG',
+      currencyName: 'Nigerian Naira',
+      currencySymbol: '₦',
+      currencyCode: 'NGN',
+      exchangeRate: 1500,
+      inverseRate: 1 / 1500,
+    },
+  ]),
+};
+
+const URLS = {
+  createPrices: 'https://mirror.test/create.csv',
+  renewPrices: 'https://mirror.test/renew.csv',
+  transferPrices: 'https://mirror.test/transfer.csv',
+  exchangeRates: 'https://mirror.test/rates.json',
+};
+
+function createFakeSource() {
+  let calls = 0;
+  const source = createDomainDataSource({
+    urls: URLS,
+    fetch: async (url) => {
+      calls++;
+      return new Response(FILES[new URL(url).pathname]);
+    },
+  });
+  return { source, calls: () => calls };
+}
+
+// Round-trips through JSON, the way a snapshot file is written and read back.
+async function takeSnapshot() {
+  const { source } = createFakeSource();
+  return JSON.parse(JSON.stringify(await source.snapshot()));
+}
+
+test('snapshot() records version, sources, fetch time and content hash', async () => {
+  const { source, calls } = createFakeSource();
+  const snapshot = await source.snapshot();
+  assert.equal(snapshot.version, 1);
+  assert.deepEqual(snapshot.sources, URLS);
+  assert.ok(!Number.isNaN(Date.parse(snapshot.fetchedAt)));
+  assert.match(snapshot.hash, /^sha256-[0-9a-f]{64}$/);
+  assert.deepEqual(snapshot.data.createPrices.prices.com, { USD: 8 });
+  assert.equal(snapshot.data.createPrices.providers.com, 'openprovider');
+  assert.equal(snapshot.data.exchangeRates[0].currencyCode, 'NGN');
+
+  // load() reuses the download behind the snapshot
+  await source.load();
+  assert.equal(calls(), 4);
+});
+
+test('loadDomainDataSnapshot builds an equivalent config without network', async () => {
+  const { source } = createFakeSource();
+  const live = await source.load();
+  const snapshot = JSON.stringify(await source.snapshot());
+
+  const offline = await loadDomainDataSnapshot(snapshot);
+  assert.deepEqual(offline, live);
+
+  const quote = await new DomainQuotes(offline).getQuote('com', 'USD', { transaction: 'renew' });
+  assert.equal(quote.basePrice, 12);
+});
+
+test('snapshot hash does not depend on key order', async () => {
+  const snapshot = await takeSnapshot();
+  const { createPrices, renewPrices, transferPrices, exchangeRates } = snapshot.data;
+  const reordered = { ...snapshot, data: { exchangeRates, transferPrices, renewPrices, createPrices } };
+  const config = await loadDomainDataSnapshot(reordered);
+  assert.deepEqual(config.createPrices.com, { USD: 8 });
+});
+
+test('loading and snapshots work without the Web Crypto API', async () => {
+  const expected = (await takeSnapshot()).hash;
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+  try {
+    const { source } = createFakeSource();
+    assert.equal((await source.load()).datasetVersion, expected);
+    assert.equal((await source.snapshot()).hash, expected);
+  } finally {
+    Object.defineProperty(globalThis, 'crypto', descriptor);
+  }
+});
+
+test('loadDomainDataSnapshot rejects tampered data', async () => {
+  const snapshot = await takeSnapshot();
+  snapshot.data.createPrices.prices.com.USD = 1;
+  await assert.rejects(
+    () => loadDomainDataSnapshot(snapshot),
+    (err) => err instanceof InvalidSnapshotError
+      && err.code === 'ERR_INVALID_SNAPSHOT'
+      && /content hash mismatch/.test(err.message)
+  );
+});
+
+test('loadDomainDataSnapshot rejects unknown versions, missing sources and bad timestamps', async () => {
+  const snapshot = await takeSnapshot();
+  await assert.rejects(() => loadDomainDataSnapshot({ ...snapshot, version: 2 }), /unsupported version 2/);
+  await assert.rejects(
+    () => loadDomainDataSnapshot({ ...snapshot, sources: { ...snapshot.sources, exchangeRates: undefined } }),
+    /missing source URL for exchangeRates/
+  );
+  await assert.rejects(() => loadDomainDataSnapshot({ ...snapshot, fetchedAt: 'yesterday' }), /invalid fetchedAt/);
+  await assert.rejects(() => loadDomainDataSnapshot('{not json'), InvalidSnapshotError);
+  await assert.rejects(
+    () => loadDomainDataSnapshot({ ...snapshot, data: { ...snapshot.data, exchangeRates: null } }),
+    /missing price lists or exchange rates/
+  );
+});
+
+test('loadDomainDataSnapshot enforces maxAgeMs', async () => {
+  const snapshot = await takeSnapshot();
+  const fetchedAt = Date.parse(snapshot.fetchedAt);
+  const day = 24 * 60 * 60 * 1000;
+  await loadDomainDataSnapshot(snapshot, { maxAgeMs: day, now: fetchedAt + day - 1 });
+  await assert.rejects(
+    () => loadDomainDataSnapshot(snapshot, { maxAgeMs: day, now: fetchedAt + day + 1 }),
+    /older than the allowed/
+  );
+});
+
+test('createSnapshotDataSource feeds DEFAULT_CONFIG offline', async () => {
+  const snapshot = await takeSnapshot();
+  const source = createSnapshotDataSource(snapshot);
+  assert.deepEqual(source.urls, URLS);
+  assert.equal(await source.snapshot(), snapshot);
+
+  await loadDefaultConfig(source);
+  assert.deepEqual(DEFAULT_CONFIG.createPrices.ng, { NGN: 7000 });
+  const quote = await getDefaultQuote('ng', 'NGN');
+  assert.equal(quote.basePrice, 7000);
+  assert.equal(quote.datasetVersion, snapshot.hash);
+  assert.equal(DEFAULT_CONFIG.vatRate, 0.075);
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+const window = { startAt: '2024-01-01T00:00:00Z', endAt: '2024-12-31T23:59:59Z' };
+const NOW = Date.parse('2024-06-15T12:00:00Z');
+
+function createDq() {
+  return new DomainQuotes({
+    createPrices: { com: 100 },
+    exchangeRates: [],
+    vatRate: 0,
+    discounts: {
+      SALE: { rate: 0.1, extensions: ['com'], automatic: true, ...window },
+      SAVE5: { rate: 0.05, extensions: ['com'], ...window },
+      PARTNER_A: { rate: 0.15, extensions: ['com'], stackGroup: 'partner', ...window },
+      PARTNER_B: { rate: 0.2, extensions: ['com'], stackGroup: 'partner', ...window },
+      PINNED: { rate: 0.05, extensions: ['com'], stackGroup: 'partner', priority: 10, ...window },
+      VIP: { rate: 0.3, extensions: ['com'], exclusive: true, ...window },
+      BIGVIP: { rate: 0.6, extensions: ['com'], exclusive: true, ...window },
+    },
+  });
+}
+
+const quote = (codes, options = {}) => createDq().getQuote('com', 'USD', { discountCodes: codes, now: NOW, ...options });
+const summary = (q) => q.discountStatuses.map(({ code, status, suppressedBy }) => (
+  suppressedBy ? [code, status, suppressedBy] : [code, status]
+));
+
+test('a grouped code stacks with discounts outside its group under the default policy', async () => {
+  const q = await quote(['PARTNER_A']);
+  assert.equal(q.discount, 25);
+  assert.deepEqual(summary(q), [['PARTNER_A', 'applied'], ['SALE', 'applied']]);
+});
+
+test('only the best code of a stacking group applies', async () => {
+  const q = await quote(['PARTNER_A', 'PARTNER_B']);
+  assert.equal(q.discount, 30);
+  assert.deepEqual(summary(q), [
+    ['PARTNER_A', 'suppressed-by-group', ['PARTNER_B']],
+    ['PARTNER_B', 'applied'],
+    ['SALE', 'applied'],
+  ]);
+});
+
+test('an exclusive code applies alone only when it beats the best combination', async () => {
+  const tie = await quote(['VIP', 'PARTNER_B']);
+  assert.equal(tie.discount, 30);
+  assert.deepEqual(summary(tie), [
+    ['VIP', 'suppressed-by-exclusive', ['PARTNER_B', 'SALE']],
+    ['PARTNER_B', 'applied'],
+    ['SALE', 'applied'],
+  ]);
+
+  const big = await quote(['BIGVIP', 'PARTNER_B']);
+  assert.equal(big.discount, 60);
+  assert.deepEqual(summary(big), [
+    ['BIGVIP', 'applied'],
+    ['PARTNER_B', 'suppressed-by-exclusive', ['BIGVIP']],
+    ['SALE', 'suppressed-by-exclusive', ['BIGVIP']],
+  ]);
+});
+
+test('higher priorities are settled first, whatever the amounts', async () => {
+  const q = await quote(['PARTNER_B', 'PINNED', 'BIGVIP']);
+  assert.equal(q.discount, 15);
+  assert.deepEqual(summary(q), [
+    ['PARTNER_B', 'suppressed-by-group', ['PINNED']],
+    ['PINNED', 'applied'],
+    ['BIGVIP', 'suppressed-by-exclusive', ['PINNED', 'SALE']],
+    ['SALE', 'applied'],
+  ]);
+});
+
+test('ungrouped codes follow the discount policy', async () => {
+  const max = await quote(['SAVE5']);
+  assert.equal(max.discount, 10);
+  assert.deepEqual(summary(max), [['SAVE5', 'not-selected'], ['SALE', 'applied']]);
+
+  const stack = await quote(['SAVE5', 'PARTNER_A', 'PARTNER_B'], { discountPolicy: 'stack' });
+  assert.equal(stack.discount, 35);
+  assert.equal(stack.discountStatuses[1].status, 'suppressed-by-group');
+});
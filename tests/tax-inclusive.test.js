@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+function makeConfig(overrides = {}) {
+  return {
+    createPrices: { com: { USD: 10.75 }, ng: { USD: 3, NGN: 5000 } },
+    exchangeRates: [
+      {
+        countryCode: 'NG',
+        currencyName: 'Nigerian Naira',
+        currencySymbol: '₦',
+        currencyCode: 'NGN',
+        exchangeRate: 1500,
+        inverseRate: 1 / 1500,
+      },
+    ],
+    vatRate: 0.075,
+    discounts: {
+      SAVE20: { rate: 0.2, extensions: ['com', 'ng'], startAt: '2000-01-01T00:00:00Z', endAt: '2100-01-01T00:00:00Z' },
+    },
+    ...overrides,
+  };
+}
+
+test('quotes are tax-exclusive by default and say so', async () => {
+  const quote = await new DomainQuotes(makeConfig()).getQuote('com', 'USD', { allowFractionalAmounts: true });
+  assert.equal(quote.taxMode, 'exclusive');
+  assert.equal(quote.subtotal, 10.75);
+  assert.equal(quote.totalPrice, 11.56);
+});
+
+test('inclusive mode backs VAT out of the advertised price', async () => {
+  const dq = new DomainQuotes(makeConfig({ taxMode: 'inclusive' }));
+  const quote = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true });
+  assert.equal(quote.taxMode, 'inclusive');
+  assert.equal(quote.basePrice, 10.75);
+  assert.equal(quote.totalPrice, 10.75);
+  assert.equal(quote.subtotal, 10);
+  assert.equal(quote.tax, 0.75);
+  assert.equal(quote.taxes[0].taxableAmount, 10);
+});
+
+test('inclusive mode can be chosen per quote', async () => {
+  const dq = new DomainQuotes(makeConfig());
+  const inclusive = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true, taxMode: 'inclusive' });
+  assert.equal(inclusive.taxMode, 'inclusive');
+  assert.equal(inclusive.totalPrice, 10.75);
+
+  const overridden = new DomainQuotes(makeConfig({ taxMode: 'inclusive' }));
+  const exclusive = await overridden.getQuote('com', 'USD', { allowFractionalAmounts: true, taxMode: 'exclusive' });
+  assert.equal(exclusive.totalPrice, 11.56);
+});
+
+test('discounts come off the tax-inclusive price', async () => {
+  const dq = new DomainQuotes(makeConfig({ taxMode: 'inclusive' }));
+  const quote = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true, discountCodes: ['SAVE20'] });
+  assert.equal(quote.discount, 2.15);
+  assert.equal(quote.totalPrice, 8.6);
+  // 8.60 / 1.075 = 8.00
+  assert.equal(quote.subtotal, 8);
+  assert.equal(quote.tax, 0.6);
+});
+
+test('totals stay exact under whole-unit and increment rounding', async () => {
+  const dq = new DomainQuotes(makeConfig({
+    taxMode: 'inclusive',
+    supportedCurrencies: ['USD', 'NGN'],
+    currencies: [{ code: 'NGN', exponent: 2, roundingIncrement: 5000 }],
+    taxRules: [
+      { id: 'vat', name: 'VAT', rate: 0.075 },
+      { id: 'levy', name: 'Levy', rate: 0.01, compound: true },
+    ],
+  }));
+  for (const options of [{}, { discountCodes: ['SAVE20'] }, { years: 3 }]) {
+    for (const currency of ['USD', 'NGN']) {
+      const quote = await dq.getQuote('ng', currency, options);
+      const minor = quote.minorUnits;
+      assert.equal(minor.subtotal + minor.tax, minor.totalPrice);
+      assert.equal(minor.basePrice - minor.discount, minor.totalPrice);
+      assert.equal(minor.tax % (currency === 'NGN' ? 5000 : 100), 0);
+    }
+  }
+  const ngn = await dq.getQuote('ng', 'NGN');
+  assert.equal(ngn.totalPrice, 5000);
+  assert.deepEqual(ngn.taxes.map((line) => line.amount), [350, 50]);
+  assert.equal(ngn.subtotal, 4600);
+});
+
+test('inclusive carts keep the advertised line prices', async () => {
+  const cart = await new DomainQuotes(makeConfig()).quoteCart(
+    [{ id: 'a', extension: 'com' }, { id: 'b', extension: 'com', discountCodes: ['SAVE20'] }],
+    { currency: 'USD', allowFractionalAmounts: true, taxMode: 'inclusive' }
+  );
+  assert.equal(cart.taxMode, 'inclusive');
+  assert.deepEqual(cart.lines.map((line) => line.totalPrice), [10.75, 8.6]);
+  assert.equal(cart.lines[1].quote.taxMode, 'inclusive');
+  assert.equal(cart.totalPrice, 19.35);
+  assert.equal(cart.subtotal, 18);
+  assert.equal(cart.tax, 1.35);
+  assert.equal(cart.minorUnits.subtotal + cart.minorUnits.tax, cart.minorUnits.totalPrice);
+});
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+// Nigerian VAT: reverse-charged for registered businesses, out of scope for buyers abroad
+function nigerianVat(ctx) {
+  const { country, isBusiness, taxId } = ctx.customer;
+  if (isBusiness && taxId) {
+    return {
+      rules: ctx.rules.map((rule) => ({ ...rule, rate: 0 })),
+      exemption: { type: 'reverse-charge', reason: `B2B supply to ${taxId}; VAT accounted for by the customer` },
+    };
+  }
+  if (country && country !== 'NG') {
+    return { rules: [], exemption: { type: 'out-of-scope', reason: `Buyer in ${country}, outside Nigeria` } };
+  }
+  return ctx.rules;
+}
+
+function makeConfig(overrides = {}) {
+  return {
+    createPrices: { com: { USD: 10 }, ng: { USD: 20 } },
+    exchangeRates: [],
+    discounts: {},
+    taxResolver: nigerianVat,
+    ...overrides,
+  };
+}
+
+test('consumers in Nigeria pay VAT with no exemption', async () => {
+  const quote = await new DomainQuotes(makeConfig()).getQuote('com', 'USD', {
+    allowFractionalAmounts: true,
+    customer: { country: 'NG' },
+  });
+  assert.equal(quote.tax, 0.75);
+  assert.deepEqual(quote.taxes.map((line) => line.id), ['vat']);
+  assert.equal(quote.taxExemption, undefined);
+});
+
+test('business buyers with a tax ID get a zero-rated reverse-charge quote', async () => {
+  const quote = await new DomainQuotes(makeConfig()).getQuote('com', 'USD', {
+    customer: { country: 'NG', isBusiness: true, taxId: 'NG-12345678-0001' },
+  });
+  assert.equal(quote.tax, 0);
+  assert.equal(quote.totalPrice, 10);
+  assert.deepEqual(quote.taxes.map((line) => [line.id, line.rate, line.amount]), [['vat', 0, 0]]);
+  assert.equal(quote.taxExemption.type, 'reverse-charge');
+  assert.match(quote.taxExemption.reason, /NG-12345678-0001/);
+});
+
+test('a business without a tax ID is taxed like a consumer', async () => {
+  const quote = await new DomainQuotes(makeConfig()).getQuote('com', 'USD', { customer: { isBusiness: true } });
+  assert.equal(quote.tax, 1);
+  assert.equal(quote.taxExemption, undefined);
+});
+
+test('buyers outside Nigeria are not charged Nigerian VAT', async () => {
+  const quote = await new DomainQuotes(makeConfig()).getQuote('com', 'USD', { customer: { country: 'GB' } });
+  assert.deepEqual(quote.taxes, []);
+  assert.equal(quote.tax, 0);
+  assert.deepEqual(quote.taxExemption, { type: 'out-of-scope', reason: 'Buyer in GB, outside Nigeria' });
+});
+
+test('the resolver receives the quote context and the matching rules', async () => {
+  const contexts = [];
+  const dq = new DomainQuotes(makeConfig({
+    taxRules: [
+      { id: 'vat', name: 'VAT', rate: 0.075 },
+      { id: 'levy', name: 'Levy', rate: 0.01, extensions: ['ng'] },
+    ],
+    taxResolver: async (ctx) => {
+      contexts.push(ctx);
+      return ctx.rules;
+    },
+  }));
+  await dq.getQuote('com', 'USD', { years: 2, allowFractionalAmounts: true });
+  await dq.getQuote('ng', 'USD', { transaction: 'renew', customer: { country: 'NG', taxId: 'X1' } });
+
+  assert.deepEqual(
+    { ...contexts[0], rules: contexts[0].rules.map((rule) => rule.id) },
+    {
+      extension: 'com',
+      currency: 'USD',
+      transaction: 'create',
+      years: 2,
+      taxMode: 'exclusive',
+      basePrice: 20,
+      subtotal: 20,
+      customer: {},
+      rules: ['vat'],
+    }
+  );
+  assert.equal(contexts[1].transaction, 'renew');
+  assert.deepEqual(contexts[1].customer, { country: 'NG', taxId: 'X1' });
+  assert.deepEqual(contexts[1].rules.map((rule) => rule.id), ['vat', 'levy']);
+});
+
+test('resolver errors fail the quote', async () => {
+  const dq = new DomainQuotes(makeConfig({
+    taxResolver: () => {
+      throw new Error('tax service unavailable');
+    },
+  }));
+  await assert.rejects(() => dq.getQuote('com', 'USD'), /tax service unavailable/);
+});
+
+test('cart lines are taxed for the cart customer', async () => {
+  const cart = new DomainQuotes(makeConfig()).createCart({
+    currency: 'USD',
+    customer: { country: 'NG', isBusiness: true, taxId: 'NG-1' },
+  });
+  cart.add({ extension: 'com' });
+  cart.add({ extension: 'ng' });
+  const quote = await cart.quote();
+  assert.equal(quote.tax, 0);
+  assert.equal(quote.totalPrice, 30);
+  assert.deepEqual(quote.lines.map((line) => line.taxExemption?.type), ['reverse-charge', 'reverse-charge']);
+  assert.equal(quote.lines[0].quote.taxExemption.type, 'reverse-charge');
+});
+
+test('in inclusive mode an exempt buyer pays the price net of the configured VAT', async () => {
+  const dq = new DomainQuotes(makeConfig({ createPrices: { com: { USD: 10.75 } }, taxMode: 'inclusive' }));
+  const price = (customer) => dq.getQuote('com', 'USD', { allowFractionalAmounts: true, customer });
+
+  const consumer = await price({ country: 'NG' });
+  assert.deepEqual([consumer.subtotal, consumer.tax, consumer.totalPrice], [10, 0.75, 10.75]);
+
+  const business = await price({ country: 'NG', isBusiness: true, taxId: 'NG-12345678-0001' });
+  assert.equal(business.basePrice, 10.75);
+  assert.deepEqual([business.subtotal, business.tax, business.totalPrice], [10, 0, 10]);
+  assert.equal(business.taxes[0].taxableAmount, 10);
+  assert.equal(business.taxExemption.type, 'reverse-charge');
+
+  const abroad = await price({ country: 'GB' });
+  assert.deepEqual([abroad.tax, abroad.totalPrice], [0, 10]);
+
+  const cart = await dq.quoteCart([{ id: 'a', extension: 'com' }], {
+    currency: 'USD',
+    allowFractionalAmounts: true,
+    customer: { country: 'GB' },
+  });
+  assert.equal(cart.totalPrice, 10);
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { DomainQuotes } from '../dist/index.js';
+
+function makeConfig(overrides = {}) {
+  return {
+    createPrices: { com: { USD: 100 }, ca: { USD: 40 } },
+    transferPrices: { com: { USD: 80 } },
+    exchangeRates: [],
+    discounts: {
+      SAVE10: { rate: 0.1, extensions: ['com', 'ca'], startAt: '2000-01-01T00:00:00Z', endAt: '2100-01-01T00:00:00Z' },
+    },
+    ...overrides,
+  };
+}
+
+test('without taxRules the 7.5% VAT is a single tax line', async () => {
+  const quote = await new DomainQuotes(makeConfig()).getQuote('com', 'USD');
+  assert.equal(quote.taxes.length, 1);
+  const [vat] = quote.taxes;
+  assert.equal(vat.id, 'vat');
+  assert.equal(vat.name, 'VAT');
+  assert.equal(vat.rate, 0.075);
+  assert.equal(vat.basis, 'subtotal');
+  assert.equal(vat.compound, false);
+  assert.equal(vat.taxableAmount, 100);
+  assert.equal(vat.amount, 8);
+  assert.equal(quote.tax, 8);
+});
+
+test('the default rule follows vatRate', async () => {
+  const quote = await new DomainQuotes(makeConfig({ vatRate: 0.2 })).getQuote('com', 'USD');
+  assert.equal(quote.taxes[0].rate, 0.2);
+  assert.equal(quote.tax, 20);
+});
+
+test('taxRules replace vatRate and itemize every rule', async () => {
+  const dq = new DomainQuotes(makeConfig({
+    vatRate: 0.5,
+    taxRules: [
+      { id: 'gst', name: 'GST', rate: 0.05, jurisdiction: 'CA' },
+      { id: 'pst', name: 'PST', rate: 0.07, jurisdiction: 'CA-BC' },
+    ],
+  }));
+  const quote = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true, discountCodes: ['SAVE10'] });
+  assert.deepEqual(quote.taxes.map((line) => [line.id, line.jurisdiction, line.taxableAmount, line.amount]), [
+    ['gst', 'CA', 90, 4.5],
+    ['pst', 'CA-BC', 90, 6.3],
+  ]);
+  assert.equal(quote.tax, 10.8);
+  assert.equal(quote.totalPrice, 100.8);
+});
+
+test('a compound rule taxes the lines before it', async () => {
+  const dq = new DomainQuotes(makeConfig({
+    taxRules: [
+      { id: 'gst', name: 'GST', rate: 0.05 },
+      { id: 'qst', name: 'QST', rate: 0.1, compound: true },
+    ],
+  }));
+  const quote = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true });
+  assert.deepEqual(quote.taxes.map((line) => [line.id, line.compound, line.taxableAmount, line.amount]), [
+    ['gst', false, 100, 5],
+    ['qst', true, 105, 10.5],
+  ]);
+  assert.equal(quote.tax, 15.5);
+});
+
+test("basis 'base' taxes the price before discounts", async () => {
+  const dq = new DomainQuotes(makeConfig({
+    taxRules: [
+      { id: 'vat', name: 'VAT', rate: 0.1 },
+      { id: 'levy', name: 'Levy', rate: 0.01, basis: 'base' },
+    ],
+  }));
+  const quote = await dq.getQuote('com', 'USD', { allowFractionalAmounts: true, discountCodes: ['SAVE10'] });
+  assert.equal(quote.subtotal, 90);
+  assert.deepEqual(quote.taxes.map((line) => [line.basis, line.taxableAmount, line.amount]), [
+    ['subtotal', 90, 9],
+    ['base', 100, 1],
+  ]);
+  assert.equal(quote.totalPrice, 100);
+});
+
+test('rules can be limited to extensions and transactions', async () => {
+  const dq = new DomainQuotes(makeConfig({
+    taxRules: [
+      { id: 'vat', name: 'VAT', rate: 0.1 },
+      { id: 'cira', name: 'CIRA fee', rate: 0.02, extensions: ['.CA'] },
+      { id: 'transfer', name: 'Transfer levy', rate: 0.05, transactions: ['transfer'] },
+    ],
+  }));
+  const com = await dq.getQuote('com', 'USD');
+  assert.deepEqual(com.taxes.map((line) => line.id), ['vat']);
+  const ca = await dq.getQuote('ca', 'USD', { allowFractionalAmounts: true });
+  assert.deepEqual(ca.taxes.map((line) => line.id), ['vat', 'cira']);
+  const transfer = await dq.getQuote('com', 'USD', { transaction: 'transfer' });
+  assert.deepEqual(transfer.taxes.map((line) => [line.id, line.amount]), [['vat', 8], ['transfer', 4]]);
+});
+
+test('cart lines carry their own taxes and the cart sums them per rule', async () => {
+  const dq = new DomainQuotes(makeConfig({
+    taxRules: [
+      { id: 'vat', name: 'VAT', rate: 0.1 },
+      { id: 'cira', name: 'CIRA fee', rate: 0.05, extensions: ['ca'] },
+    ],
+  }));
+  const cart = await dq.quoteCart(
+    [{ id: 'a', extension: 'com' }, { id: 'b', extension: 'ca' }],
+    { currency: 'USD' }
+  );
+  assert.deepEqual(cart.lines.map((line) => line.taxes.map((tax) => tax.id)), [['vat'], ['vat', 'cira']]);
+  assert.deepEqual(cart.taxes.map((line) => [line.id, line.taxableAmount, line.amount]), [
+    ['vat', 140, 14],
+    ['cira', 40, 2],
+  ]);
+  assert.equal(cart.tax, 16);
+  assert.equal(cart.totalPrice, 156);
+});
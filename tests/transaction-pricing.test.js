@@ -1,12 +1,18 @@
 import assert from 'node:assert/strict';
-import test from 'node:test';
+import test, { before } from 'node:test';
 
 import {
   DEFAULT_CONFIG,
   DomainQuotes,
   getDefaultQuote,
+  loadDefaultConfig,
 } from '../dist/index.js';
 
+// DEFAULT_CONFIG is populated lazily; fetch the remote datasets once for this file.
+before(async () => {
+  await loadDefaultConfig();
+});
+
 // Helper to create a minimal config for testing transaction pricing
 function createTestConfig(overrides = {}) {
   return {